@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const User = require('./src/models/user');
+const encryption = require('./src/services/encryption');
+
+// Stored API keys that are encrypted
+const KEY_PATHS = ['integrations.instantly.apiKey', 'integrations.salesfinity.apiKey'];
+
+// Encrypt plaintext API keys, and re-encrypt ones under a previous key, with the current key.
+// Usage: node encrypt-integration-keys.js [--dry-run]
+async function migrate({ dryRun }) {
+  const stats = { users: 0, updated: 0, failed: 0 };
+  const cursor = User.find({
+    $or: KEY_PATHS.map(path => ({ [path]: { $nin: [null, ''] } }))
+  }).cursor();
+
+  for await (const user of cursor) {
+    stats.users++;
+    const update = {};
+
+    try {
+      KEY_PATHS.forEach(path => {
+        const stored = user.get(path, null, { getters: false });
+        if (encryption.needsRotation(stored)) {
+          // decrypt throws when no configured key matches, leaving the value as it is
+          update[path] = encryption.encrypt(encryption.decrypt(stored));
+        }
+      });
+    } catch (error) {
+      stats.failed++;
+      console.error(`User ${user._id}: ${error.message}`);
+      continue;
+    }
+
+    if (Object.keys(update).length === 0) continue;
+
+    if (!dryRun) {
+      await User.collection.updateOne({ _id: user._id }, { $set: update });
+    }
+    stats.updated++;
+  }
+
+  return stats;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!process.env.INTEGRATION_ENCRYPTION_KEY) {
+    console.error('INTEGRATION_ENCRYPTION_KEY is not set');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const stats = await migrate({ dryRun });
+    console.log(`${dryRun ? 'Would update' : 'Updated'} ${stats.updated} of ${stats.users} users with API keys (${stats.failed} failed)`);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
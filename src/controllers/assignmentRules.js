@@ -0,0 +1,196 @@
+const AssignmentRule = require('../models/assignmentRule');
+const Team = require('../models/team');
+const leadAssignment = require('../services/leadAssignment');
+
+// Fields a rule can be created or updated with
+const RULE_FIELDS = ['name', 'description', 'active', 'priority', 'conditions', 'team', 'strategy', 'weights', 'maxOpenLeads'];
+
+const pickRuleFields = (body) => Object.fromEntries(
+  RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Admins can manage every rule, managers only rules for teams they manage
+const canManageTeam = async (teamId, user) => {
+  if (user.role === 'admin') return true;
+  const team = await Team.findById(teamId);
+  return Boolean(team) && team.isManagedBy(user._id);
+};
+
+// Get all assignment rules in the order they are tried
+exports.getAssignmentRules = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    if (req.query.team) filter.team = req.query.team;
+
+    const rules = await AssignmentRule.find(filter)
+      .sort('priority createdAt')
+      .populate('team', 'name')
+      .populate('weights.user', 'firstName lastName email');
+
+    res.status(200).json({
+      status: 'success',
+      results: rules.length,
+      data: {
+        rules
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get a single assignment rule
+exports.getAssignmentRule = async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findById(req.params.id)
+      .populate('team', 'name manager members')
+      .populate('weights.user', 'firstName lastName email');
+
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment rule not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        rule
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Create an assignment rule
+exports.createAssignmentRule = async (req, res) => {
+  try {
+    const data = pickRuleFields(req.body);
+
+    if (!data.team || !(await Team.exists({ _id: data.team }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a valid team ID'
+      });
+    }
+
+    if (!(await canManageTeam(data.team, req.user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only create rules for teams you manage'
+      });
+    }
+
+    const rule = await AssignmentRule.create({ ...data, createdBy: req.user.id });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        rule
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Update an assignment rule
+exports.updateAssignmentRule = async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment rule not found'
+      });
+    }
+
+    const data = pickRuleFields(req.body);
+    if (!(await canManageTeam(rule.team, req.user)) || (data.team && !(await canManageTeam(data.team, req.user)))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only change rules for teams you manage'
+      });
+    }
+
+    rule.set(data);
+    await rule.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        rule
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Delete an assignment rule
+exports.deleteAssignmentRule = async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment rule not found'
+      });
+    }
+
+    if (!(await canManageTeam(rule.team, req.user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only delete rules for teams you manage'
+      });
+    }
+
+    await rule.deleteOne();
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Show which rule a lead would match, without assigning it
+exports.previewAssignment = async (req, res) => {
+  try {
+    const rule = await leadAssignment.findRule(req.body.lead || req.body);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        rule: rule ? { id: rule._id, name: rule.name, team: rule.team, strategy: rule.strategy } : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -1,7 +1,48 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
 const User = require('../models/user');
 
+const AUTH_MODES = ['jwt', 'dev'];
+
+// How requests are authenticated: jwt (default), or dev, which also lets requests without a token in as a test admin
+const getAuthMode = () => (process.env.AUTH_MODE || 'jwt').toLowerCase();
+exports.getAuthMode = getAuthMode;
+
+// Fixed ID of the dev mode user, so what it creates or is credited with can be stored and found again
+const DEV_USER_ID = '000000000000000000000001';
+
+// Stand-in user for dev mode requests without a token. It has no database record.
+// Like a user document, it has both an ObjectId _id and a string id.
+const devUser = () => ({
+  _id: new mongoose.Types.ObjectId(DEV_USER_ID),
+  id: DEV_USER_ID,
+  email: process.env.TEST_USER_EMAIL || 'admin@example.com',
+  firstName: 'Test',
+  lastName: 'User',
+  role: 'admin',
+  integrations: {}
+});
+
+// Check the auth settings at startup; throws when the server must not boot with them
+exports.assertAuthConfig = () => {
+  const mode = getAuthMode();
+  
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown AUTH_MODE "${mode}"; use ${AUTH_MODES.join(' or ')}`);
+  }
+  
+  if (mode === 'dev' && process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_MODE=dev lets unauthenticated requests in as an admin and cannot be used when NODE_ENV=production');
+  }
+  
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set');
+  }
+  
+  return mode;
+};
+
 // Generate JWT token
 const signToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
@@ -106,6 +147,12 @@ exports.protect = async (req, res, next) => {
     }
     
     if (!token) {
+      // Dev mode only: tokens are still checked when sent, so roles can be tried out
+      if (getAuthMode() === 'dev') {
+        req.user = devUser();
+        return next();
+      }
+      
       return res.status(401).json({
         status: 'error',
         message: 'You are not logged in. Please log in to get access.'
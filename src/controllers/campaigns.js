@@ -1,6 +1,13 @@
 const Campaign = require('../models/campaign');
 const Lead = require('../models/lead');
 const Sequence = require('../models/sequence');
+const Team = require('../models/team');
+const abTesting = require('../services/abTesting');
+const outreachService = require('../services/outreach');
+const salesfinitySync = require('../services/salesfinitySync');
+const instantlyCampaigns = require('../services/instantlyCampaigns');
+const instantlyPush = require('../services/instantlyPush');
+const access = require('../services/access');
 
 // Get all campaigns with filtering and pagination
 exports.getCampaigns = async (req, res) => {
@@ -16,8 +23,11 @@ exports.getCampaigns = async (req, res) => {
     let queryStr = JSON.stringify(queryObj);
     queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
     
+    // Only campaigns the user can see
+    const filter = await access.campaigns(req.user, JSON.parse(queryStr));
+    
     // Base query
-    let query = Campaign.find(JSON.parse(queryStr));
+    let query = Campaign.find(filter);
     
     // Sorting
     if (req.query.sort) {
@@ -37,10 +47,11 @@ exports.getCampaigns = async (req, res) => {
     // Execute query with population
     const campaigns = await query
       .populate('createdBy', 'firstName lastName email')
-      .populate('team', 'firstName lastName email');
+      .populate('team', 'firstName lastName email')
+      .populate('teams', 'name');
     
     // Get total count for pagination
-    const totalCount = await Campaign.countDocuments(JSON.parse(queryStr));
+    const totalCount = await Campaign.countDocuments(filter);
     
     res.status(200).json({
       status: 'success',
@@ -63,9 +74,10 @@ exports.getCampaigns = async (req, res) => {
 // Get a single campaign
 exports.getCampaign = async (req, res) => {
   try {
-    const campaign = await Campaign.findById(req.params.id)
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: req.params.id }))
       .populate('createdBy', 'firstName lastName email')
       .populate('team', 'firstName lastName email')
+      .populate('teams', 'name manager')
       .populate('sequences');
     
     if (!campaign) {
@@ -119,8 +131,8 @@ exports.createCampaign = async (req, res) => {
 // Update a campaign
 exports.updateCampaign = async (req, res) => {
   try {
-    const campaign = await Campaign.findByIdAndUpdate(
-      req.params.id,
+    const campaign = await Campaign.findOneAndUpdate(
+      await access.campaigns(req.user, { _id: req.params.id }),
       req.body,
       {
         new: true,
@@ -152,7 +164,7 @@ exports.updateCampaign = async (req, res) => {
 // Delete a campaign
 exports.deleteCampaign = async (req, res) => {
   try {
-    const campaign = await Campaign.findByIdAndDelete(req.params.id);
+    const campaign = await Campaign.findOneAndDelete(await access.campaigns(req.user, { _id: req.params.id }));
     
     if (!campaign) {
       return res.status(404).json({
@@ -190,7 +202,7 @@ exports.addLeadsToCampaign = async (req, res) => {
     }
     
     // Check if campaign exists
-    const campaign = await Campaign.findById(id);
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: id }));
     if (!campaign) {
       return res.status(404).json({
         status: 'error',
@@ -199,7 +211,7 @@ exports.addLeadsToCampaign = async (req, res) => {
     }
     
     // Check if leads exist
-    const foundLeads = await Lead.find({ _id: { $in: leads } });
+    const foundLeads = await Lead.find(await access.leads(req.user, { _id: { $in: leads } }));
     if (foundLeads.length !== leads.length) {
       return res.status(400).json({
         status: 'error',
@@ -243,7 +255,7 @@ exports.removeLeadsFromCampaign = async (req, res) => {
     }
     
     // Check if campaign exists
-    const campaign = await Campaign.findById(id);
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: id }));
     if (!campaign) {
       return res.status(404).json({
         status: 'error',
@@ -283,7 +295,7 @@ exports.getCampaignLeads = async (req, res) => {
     const skip = (page - 1) * limit;
     
     // Check if campaign exists
-    const campaign = await Campaign.findById(id);
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: id }));
     if (!campaign) {
       return res.status(404).json({
         status: 'error',
@@ -318,21 +330,21 @@ exports.getCampaignLeads = async (req, res) => {
   }
 };
 
-// Add team members to a campaign
+// Add team members, or whole teams, to a campaign
 exports.addTeamMembersToCampaign = async (req, res) => {
   try {
     const { id } = req.params;
-    const { members } = req.body;
+    const { members = [], teams = [] } = req.body;
     
-    if (!members || !Array.isArray(members) || members.length === 0) {
+    if (!Array.isArray(members) || !Array.isArray(teams) || members.length + teams.length === 0) {
       return res.status(400).json({
         status: 'error',
-        message: 'Please provide an array of user IDs'
+        message: 'Please provide an array of user IDs or team IDs'
       });
     }
     
     // Check if campaign exists
-    const campaign = await Campaign.findById(id);
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: id }));
     if (!campaign) {
       return res.status(404).json({
         status: 'error',
@@ -340,8 +352,17 @@ exports.addTeamMembersToCampaign = async (req, res) => {
       });
     }
     
-    // Add team members to campaign
-    campaign.team.addToSet(...members);
+    // Check if teams exist
+    if (teams.length > 0 && (await Team.countDocuments({ _id: { $in: teams } })) !== new Set(teams).size) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Some team IDs are invalid'
+      });
+    }
+    
+    // Add team members and teams to campaign
+    if (members.length > 0) campaign.team.addToSet(...members);
+    if (teams.length > 0) campaign.teams.addToSet(...teams);
     await campaign.save();
     
     res.status(200).json({
@@ -358,21 +379,21 @@ exports.addTeamMembersToCampaign = async (req, res) => {
   }
 };
 
-// Remove team members from a campaign
+// Remove team members, or whole teams, from a campaign
 exports.removeTeamMembersFromCampaign = async (req, res) => {
   try {
     const { id } = req.params;
-    const { members } = req.body;
+    const { members = [], teams = [] } = req.body;
     
-    if (!members || !Array.isArray(members) || members.length === 0) {
+    if (!Array.isArray(members) || !Array.isArray(teams) || members.length + teams.length === 0) {
       return res.status(400).json({
         status: 'error',
-        message: 'Please provide an array of user IDs'
+        message: 'Please provide an array of user IDs or team IDs'
       });
     }
     
     // Check if campaign exists
-    const campaign = await Campaign.findById(id);
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: id }));
     if (!campaign) {
       return res.status(404).json({
         status: 'error',
@@ -380,15 +401,206 @@ exports.removeTeamMembersFromCampaign = async (req, res) => {
       });
     }
     
-    // Remove team members from campaign
+    // Remove team members and teams from campaign
     campaign.team = campaign.team.filter(
       memberId => !members.includes(memberId.toString())
     );
+    campaign.teams = campaign.teams.filter(
+      teamId => !teams.includes(teamId.toString())
+    );
+    await campaign.save();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        campaign
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Attach sequences to a campaign
+exports.addSequencesToCampaign = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sequences } = req.body;
+    
+    if (!sequences || !Array.isArray(sequences) || sequences.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an array of sequence IDs'
+      });
+    }
+    
+    // Check if campaign exists
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: id }));
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found'
+      });
+    }
+    
+    // Check if sequences exist
+    const foundSequences = await Sequence.find({ _id: { $in: sequences } });
+    if (foundSequences.length !== sequences.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Some sequence IDs are invalid'
+      });
+    }
+    
+    // A sequence belongs to one campaign, so detach it from any other
+    await Campaign.updateMany(
+      { _id: { $ne: id }, sequences: { $in: sequences } },
+      { $pull: { sequences: { $in: sequences } } }
+    );
+    await Sequence.updateMany({ _id: { $in: sequences } }, { campaign: id });
+    
+    // Add sequences to campaign
+    campaign.sequences.addToSet(...sequences);
+    await campaign.save();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        campaign
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Detach sequences from a campaign
+exports.removeSequencesFromCampaign = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sequences } = req.body;
+    
+    if (!sequences || !Array.isArray(sequences) || sequences.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an array of sequence IDs'
+      });
+    }
+    
+    // Check if campaign exists
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: id }));
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found'
+      });
+    }
+    
+    // Remove sequences from campaign
+    campaign.sequences = campaign.sequences.filter(
+      sequenceId => !sequences.includes(sequenceId.toString())
+    );
     await campaign.save();
     
+    await Sequence.updateMany(
+      { _id: { $in: sequences }, campaign: id },
+      { $unset: { campaign: 1 } }
+    );
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        campaign
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Per-variant results across all of a campaign's outreach
+exports.getCampaignVariantStats = async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: req.params.id })).select('name winningVariant');
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found'
+      });
+    }
+
+    // Variants are matched by name so the same copy tested in several steps adds up
+    const variants = await abTesting.getVariantStats({ campaign: campaign._id }, { byName: true });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        winningVariant: campaign.winningVariant?.name ? campaign.winningVariant : null,
+        variants
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Declare the campaign's winning variant once the difference is statistically significant
+exports.declareCampaignWinner = async (req, res) => {
+  try {
+    const { metric = 'replyRate', confidence, minSample } = req.body;
+
+    const optionsError = abTesting.validateWinnerOptions({ metric, confidence, minSample });
+    if (optionsError) {
+      return res.status(400).json({
+        status: 'error',
+        message: optionsError
+      });
+    }
+
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: req.params.id }));
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found'
+      });
+    }
+
+    const stats = await abTesting.getVariantStats({ campaign: campaign._id }, { byName: true });
+    const result = abTesting.evaluateWinner(stats, { metric, confidence, minSample });
+
+    if (!result.significant) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.reason,
+        data: {
+          result
+        }
+      });
+    }
+
+    campaign.winningVariant = {
+      name: result.winner.variant,
+      metric,
+      declaredAt: new Date()
+    };
+    await campaign.save();
+
     res.status(200).json({
       status: 'success',
       data: {
+        result,
         campaign
       }
     });
@@ -398,4 +610,272 @@ exports.removeTeamMembersFromCampaign = async (req, res) => {
       message: error.message
     });
   }
-}; 
\ No newline at end of file
+};
+
+// Push the campaign's leads to its Salesfinity contact list, creating the list if needed
+exports.syncSalesfinityList = async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: req.params.id }));
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found'
+      });
+    }
+
+    outreachService.initUserServices(req.user);
+    const service = outreachService.getService(req.user._id, 'Salesfinity');
+    if (!service) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have access to the Salesfinity integration'
+      });
+    }
+
+    const result = await salesfinitySync.syncCampaign(campaign, service);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        result,
+        campaign
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Delete the campaign's Salesfinity contact list and stop syncing it
+exports.unlinkSalesfinityList = async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: req.params.id }));
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!campaign.salesfinity?.contactListId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Campaign has no Salesfinity contact list'
+      });
+    }
+
+    outreachService.initUserServices(req.user);
+    const service = outreachService.getService(req.user._id, 'Salesfinity');
+    if (!service) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have access to the Salesfinity integration'
+      });
+    }
+
+    await salesfinitySync.unlinkCampaign(campaign, service);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        campaign
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Load the campaign and the Instantly service and account used for the request user
+const getInstantlyContext = async (req, res) => {
+  const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: req.params.id }));
+  if (!campaign) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Campaign not found'
+    });
+    return null;
+  }
+
+  outreachService.initUserServices(req.user);
+  const service = outreachService.getService(req.user._id, 'Instantly');
+  if (!service) {
+    res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to the Instantly integration'
+    });
+    return null;
+  }
+
+  return { campaign, service, owner: instantlyCampaigns.getAccountOwner(req.user) };
+};
+
+// Link the campaign to an existing Instantly campaign
+exports.linkInstantlyCampaign = async (req, res) => {
+  try {
+    const { instantlyCampaignId } = req.body;
+    if (!instantlyCampaignId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'instantlyCampaignId is required'
+      });
+    }
+
+    const context = await getInstantlyContext(req, res);
+    if (!context) return;
+
+    const instantlyCampaign = await instantlyCampaigns.link(
+      context.campaign,
+      context.owner,
+      instantlyCampaignId,
+      context.service
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        instantlyCampaign,
+        campaign: context.campaign
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Remove the campaign's link to Instantly for the request user's account
+exports.unlinkInstantlyCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: req.params.id }));
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found'
+      });
+    }
+
+    const owner = instantlyCampaigns.getAccountOwner(req.user);
+    if (!campaign.getInstantlyLink(owner)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Campaign is not linked to an Instantly campaign'
+      });
+    }
+
+    // The Instantly campaign itself is left alone
+    campaign.unlinkInstantlyCampaign(owner);
+    await campaign.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        campaign
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Create a new Instantly campaign for the campaign and link it
+exports.createInstantlyCampaign = async (req, res) => {
+  try {
+    const context = await getInstantlyContext(req, res);
+    if (!context) return;
+
+    if (context.campaign.getInstantlyLink(context.owner)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Campaign is already linked to an Instantly campaign; unlink it first'
+      });
+    }
+
+    const instantlyCampaign = await instantlyCampaigns.createRemote(context.campaign, context.owner, context.service);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        instantlyCampaign,
+        campaign: context.campaign
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Compare our campaigns with the Instantly account's campaigns
+exports.reconcileInstantlyCampaigns = async (req, res) => {
+  try {
+    outreachService.initUserServices(req.user);
+    const service = outreachService.getService(req.user._id, 'Instantly');
+    if (!service) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have access to the Instantly integration'
+      });
+    }
+
+    const report = await instantlyCampaigns.reconcile(instantlyCampaigns.getAccountOwner(req.user), service);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Push the campaign's leads, or a filtered subset, to its Instantly campaign
+exports.pushLeadsToInstantly = async (req, res) => {
+  try {
+    const { leadIds, status, source, tags } = req.body;
+    if (leadIds !== undefined && !Array.isArray(leadIds)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'leadIds must be an array'
+      });
+    }
+
+    const context = await getInstantlyContext(req, res);
+    if (!context) return;
+
+    const result = await instantlyPush.pushCampaign(context.campaign, {
+      service: context.service,
+      owner: context.owner,
+      userId: req.user._id,
+      filter: { leadIds, status, source, tags }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
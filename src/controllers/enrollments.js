@@ -0,0 +1,200 @@
+const SequenceEnrollment = require('../models/sequenceEnrollment');
+const Sequence = require('../models/sequence');
+const Lead = require('../models/lead');
+const access = require('../services/access');
+const sequenceEngine = require('../services/sequenceEngine');
+
+// Enroll leads into a sequence
+exports.enrollLeads = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { leads, startAt, campaignId } = req.body;
+
+    if (!leads || !Array.isArray(leads) || leads.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an array of lead IDs'
+      });
+    }
+
+    // Check if sequence exists and can take new leads
+    const sequence = await Sequence.findById(id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    if (sequence.status !== 'Active') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Leads can only be enrolled into active sequences'
+      });
+    }
+
+    // Leads the user cannot see are reported like missing ones
+    const visible = (await Lead.distinct('_id', await access.leads(req.user, { _id: { $in: leads } }))).map(String);
+    const hidden = leads.filter(lead => !visible.includes(String(lead)));
+
+    const { enrolled, skipped } = await sequenceEngine.enrollLeads(
+      id,
+      leads.filter(lead => visible.includes(String(lead))),
+      req.user.id,
+      {
+        campaignId,
+        startAt: startAt ? new Date(startAt) : new Date()
+      }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      enrolled: enrolled.length,
+      skipped: skipped.length + hidden.length,
+      data: {
+        enrollments: enrolled,
+        skipped: [...skipped, ...hidden.map(lead => ({ lead, reason: 'Lead not found' }))]
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get enrollments of a sequence with filtering and pagination
+exports.getSequenceEnrollments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const skip = (page - 1) * limit;
+
+    // Check if sequence exists
+    const sequence = await Sequence.findById(id).select('name status metrics');
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    const query = { sequence: id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.exitReason) query.exitReason = req.query.exitReason;
+
+    // Only enrollments of leads the user can see
+    const filter = await access.enrollments(req.user, query);
+
+    const enrollments = await SequenceEnrollment.find(filter)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit)
+      .populate('lead', 'firstName lastName email company jobTitle')
+      .populate('enrolledBy', 'firstName lastName email');
+
+    // Get total count for pagination
+    const totalCount = await SequenceEnrollment.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      results: enrollments.length,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      currentPage: page,
+      data: {
+        sequence,
+        enrollments
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get a single enrollment
+exports.getEnrollment = async (req, res) => {
+  try {
+    const enrollment = await SequenceEnrollment.findOne(await access.enrollments(req.user, { _id: req.params.id }))
+      .populate('lead', 'firstName lastName email company jobTitle')
+      .populate('sequence', 'name status steps')
+      .populate('enrolledBy', 'firstName lastName email')
+      .populate('history.outreach', 'type channel status scheduledAt sentAt');
+
+    if (!enrollment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Enrollment not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        enrollment
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Build a handler that applies a state change to an enrollment
+const changeEnrollmentState = (action) => async (req, res) => {
+  try {
+    const enrollment = await SequenceEnrollment.findOne(await access.enrollments(req.user, { _id: req.params.id }));
+
+    if (!enrollment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Enrollment not found'
+      });
+    }
+
+    let updatedEnrollment;
+    try {
+      updatedEnrollment = await action(enrollment);
+    } catch (error) {
+      // Invalid state transitions are client errors
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        enrollment: updatedEnrollment
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Pause an enrollment
+exports.pauseEnrollment = changeEnrollmentState(
+  enrollment => sequenceEngine.pauseEnrollment(enrollment)
+);
+
+// Resume a paused enrollment
+exports.resumeEnrollment = changeEnrollmentState(
+  enrollment => sequenceEngine.resumeEnrollment(enrollment)
+);
+
+// Remove a lead from its sequence
+exports.removeEnrollment = changeEnrollmentState(
+  enrollment => sequenceEngine.exitEnrollment(enrollment, 'Manually Removed')
+);
@@ -24,17 +24,8 @@ class InstantlyController {
     try {
       if (!this.checkServiceInitialized(res)) return;
       
-      // Test connection first
-      const isConnected = await this.instantlyService.testConnection();
-      if (!isConnected) {
-        return res.status(500).json({ 
-          error: 'Failed to connect to Instantly API',
-          message: 'Could not establish connection to Instantly.ai API'
-        });
-      }
-      
-      // Get API tier info
-      const apiTierInfo = this.instantlyService.getApiTierInfo();
+      // Probe which endpoints the API key can use
+      const apiTierInfo = await this.instantlyService.detectTier();
       return res.status(200).json(apiTierInfo);
     } catch (error) {
       console.error('Error in getApiInfo:', error.message);
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const outreachService = require('../services/outreach');
+const capabilities = require('../services/capabilities');
+const integrations = require('../services/integrations');
+
+// Resolve the :integration param, answering 404 for unknown ones
+const getIntegration = (req, res) => {
+  const integration = integrations.resolveName(req.params.integration);
+  if (!integration) {
+    res.status(404).json({
+      status: 'error',
+      message: `Unknown integration: ${req.params.integration}`
+    });
+  }
+  return integration;
+};
+
+// Load the request user's document so credentials can be saved on it
+const loadUser = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.user._id) ? await User.findById(req.user._id) : null;
+  if (!user) {
+    res.status(401).json({
+      status: 'error',
+      message: 'Log in as a saved user to manage integrations'
+    });
+  }
+  return user;
+};
+
+// Get the connection status and health of each integration
+exports.getIntegrations = async (req, res) => {
+  try {
+    const statuses = await integrations.listForUser(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      results: statuses.length,
+      data: {
+        integrations: statuses
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Connect the user's own account
+exports.connectIntegration = async (req, res) => {
+  try {
+    const integration = getIntegration(req, res);
+    if (!integration) return;
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const status = await integrations.connect(user, integration, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        integration: status
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Test the account the user works through and record its health
+exports.testIntegration = async (req, res) => {
+  try {
+    const integration = getIntegration(req, res);
+    if (!integration) return;
+
+    const result = await integrations.test(req.user, integration);
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Stop using the user's own account
+exports.disableIntegration = async (req, res) => {
+  try {
+    const integration = getIntegration(req, res);
+    if (!integration) return;
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const status = await integrations.disable(user, integration);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        integration: status
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Replace the user's API key once the new one is confirmed to work
+exports.rotateIntegrationKey = async (req, res) => {
+  try {
+    const integration = getIntegration(req, res);
+    if (!integration) return;
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const status = await integrations.rotateKey(user, integration, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        integration: status
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get what each integration the user works through can do
+exports.getCapabilities = async (req, res) => {
+  try {
+    const integrations = await capabilities.listForUser(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      results: integrations.length,
+      data: {
+        integrations
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Probe the user's integration accounts again
+exports.refreshCapabilities = async (req, res) => {
+  try {
+    const { integration } = req.body;
+    if (integration && !capabilities.integrations.includes(integration)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `integration must be one of: ${capabilities.integrations.join(', ')}`
+      });
+    }
+
+    outreachService.initUserServices(req.user);
+
+    const probed = [];
+    for (const name of integration ? [integration] : capabilities.integrations) {
+      const service = outreachService.getService(req.user._id, name);
+      if (service) {
+        await capabilities.probe(name, service, capabilities.getOwner(req.user, name));
+        probed.push(name);
+      }
+    }
+
+    const integrations = await capabilities.listForUser(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        probed,
+        integrations
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
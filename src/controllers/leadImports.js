@@ -0,0 +1,293 @@
+const multer = require('multer');
+const LeadImport = require('../models/leadImport');
+const ImportMapping = require('../models/importMapping');
+const leadImporter = require('../services/leadImporter');
+
+const MAX_FILE_MB = parseInt(process.env.LEAD_IMPORT_MAX_FILE_MB, 10) || 10;
+
+// Files are parsed from memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: 1 }
+}).single('file');
+
+// Form fields arrive as text; JSON ones may also be sent already parsed
+const parseJsonField = (value, name) => {
+  if (value === undefined || value === '' || typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    const parseError = new Error(`${name} must be valid JSON`);
+    parseError.statusCode = 400;
+    throw parseError;
+  }
+};
+
+// Imports a user can see: all for admins, otherwise their own
+const visibleTo = (user) => (user.role === 'admin' ? {} : { createdBy: user._id });
+
+// Accept a single multipart file in the "file" field
+exports.uploadImportFile = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.code === 'LIMIT_FILE_SIZE' ? `Files can be at most ${MAX_FILE_MB} MB` : error.message
+      });
+    }
+    next();
+  });
+};
+
+// Start a lead import from a CSV or XLSX file
+exports.createImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please upload a .csv or .xlsx file in the "file" field'
+      });
+    }
+
+    const columns = parseJsonField(req.body.columns, 'columns');
+    const defaults = parseJsonField(req.body.defaults, 'defaults');
+    const duplicates = req.body.duplicates
+      ? req.body.duplicates.charAt(0).toUpperCase() + req.body.duplicates.slice(1).toLowerCase()
+      : undefined;
+
+    if (duplicates && !['Skip', 'Update'].includes(duplicates)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'duplicates must be skip or update'
+      });
+    }
+
+    if (req.body.saveMappingAs && await ImportMapping.exists({ name: req.body.saveMappingAs })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An import mapping with this name already exists'
+      });
+    }
+
+    let mapping = null;
+    if (req.body.mappingId) {
+      mapping = await ImportMapping.findById(req.body.mappingId);
+      if (!mapping) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Import mapping not found'
+        });
+      }
+    }
+
+    const { job, background } = await leadImporter.start({
+      user: req.user,
+      file: req.file,
+      mapping,
+      columns,
+      defaults,
+      duplicates,
+      dryRun: req.body.dryRun === 'true' || req.body.dryRun === true
+    });
+
+    // Save the columns used as a profile for the next file in this format
+    if (req.body.saveMappingAs) {
+      await ImportMapping.create({
+        name: req.body.saveMappingAs,
+        columns: job.columns.map(({ column, field }) => ({ column, field })),
+        defaults: job.defaults,
+        duplicates: job.duplicates,
+        createdBy: req.user.id
+      });
+    }
+
+    res.status(background ? 202 : 201).json({
+      status: 'success',
+      message: background ? 'The import is running in the background; check its progress with GET /api/leads/imports/:id' : undefined,
+      data: {
+        import: job
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An import mapping with this name already exists'
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get recent imports
+exports.getImports = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const imports = await LeadImport.find(visibleTo(req.user))
+      .sort('-createdAt')
+      .limit(limit)
+      .select('-preview -rowErrors')
+      .populate('createdBy', 'firstName lastName email');
+
+    res.status(200).json({
+      status: 'success',
+      results: imports.length,
+      data: {
+        imports
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get an import's progress, counts and, for dry runs, the row preview
+exports.getImport = async (req, res) => {
+  try {
+    const leadImport = await LeadImport.findOne({ _id: req.params.id, ...visibleTo(req.user) })
+      .populate('mapping', 'name')
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!leadImport) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Import not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        import: leadImport
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Download an import's row errors as CSV
+exports.downloadImportErrors = async (req, res) => {
+  try {
+    const leadImport = await LeadImport.findOne({ _id: req.params.id, ...visibleTo(req.user) });
+
+    if (!leadImport) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Import not found'
+      });
+    }
+
+    res.status(200)
+      .type('text/csv')
+      .attachment(`import-${leadImport._id}-errors.csv`)
+      .send(leadImporter.errorReport(leadImport));
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get all saved import mappings
+exports.getImportMappings = async (req, res) => {
+  try {
+    const mappings = await ImportMapping.find()
+      .sort('name')
+      .populate('createdBy', 'firstName lastName email');
+
+    res.status(200).json({
+      status: 'success',
+      results: mappings.length,
+      data: {
+        mappings
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Save an import mapping
+exports.createImportMapping = async (req, res) => {
+  try {
+    const { name, description, columns, defaults, duplicates } = req.body;
+
+    if (!columns || typeof columns !== 'object' || Object.keys(columns).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide columns, e.g. { "E-mail": "email", "Employees": "companySize" }'
+      });
+    }
+
+    // Check the fields now rather than on the first import that uses the mapping
+    const { columns: resolved } = leadImporter.resolveColumns(Object.keys(leadImporter.toColumnObject(columns)), columns);
+
+    const mapping = await ImportMapping.create({
+      name,
+      description,
+      columns: Object.entries(resolved).map(([column, field]) => ({ column, field })),
+      defaults,
+      duplicates,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        mapping
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An import mapping with this name already exists'
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Delete an import mapping
+exports.deleteImportMapping = async (req, res) => {
+  try {
+    const mapping = await ImportMapping.findByIdAndDelete(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Import mapping not found'
+      });
+    }
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -1,4 +1,51 @@
 const Lead = require('../models/lead');
+const User = require('../models/user');
+const Team = require('../models/team');
+const access = require('../services/access');
+const leadAssignment = require('../services/leadAssignment');
+const leadImporter = require('../services/leadImporter');
+const leadDedup = require('../services/leadDedup');
+
+// Record owners given by the user, then let the assignment rules route the rest
+const assignNewLeads = async (leads, user) => {
+  leads.forEach(lead => {
+    if (lead.assignedTo || lead.assignedTeam) {
+      lead.assign({ user: lead.assignedTo, team: lead.assignedTeam, assignedBy: user.id });
+    }
+  });
+  return leadAssignment.assignAll(leads);
+};
+
+// The new owner must exist and, for anyone but admins, be on one of the requester's teams.
+// Answers the request and returns false when they are not.
+const checkNewOwner = async (req, res, { user, team }, fields = { user: 'assignedTo', team: 'assignedTeam' }) => {
+  if (user && !(await User.exists({ _id: user, active: true }))) {
+    res.status(400).json({
+      status: 'error',
+      message: `${fields.user} is not an active user`
+    });
+    return false;
+  }
+  if (team && !(await Team.exists({ _id: team }))) {
+    res.status(400).json({
+      status: 'error',
+      message: `${fields.team} is not a team`
+    });
+    return false;
+  }
+  
+  const scope = await access.getScope(req.user);
+  if (scope && ((user && !scope.members.some(id => String(id) === String(user)))
+    || (team && !scope.teams.some(id => String(id) === String(team))))) {
+    res.status(403).json({
+      status: 'error',
+      message: 'You can only assign leads to your own teams and their members'
+    });
+    return false;
+  }
+  
+  return true;
+};
 
 // Get all leads with pagination and filtering
 exports.getLeads = async (req, res) => {
@@ -14,8 +61,11 @@ exports.getLeads = async (req, res) => {
     let queryStr = JSON.stringify(queryObj);
     queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
     
+    // Only leads the user can see
+    const filter = await access.leads(req.user, JSON.parse(queryStr));
+    
     // Base query
-    let query = Lead.find(JSON.parse(queryStr));
+    let query = Lead.find(filter);
     
     // Sorting
     if (req.query.sort) {
@@ -44,7 +94,7 @@ exports.getLeads = async (req, res) => {
     const leads = await query;
     
     // Get total count for pagination
-    const totalCount = await Lead.countDocuments(JSON.parse(queryStr));
+    const totalCount = await Lead.countDocuments(filter);
     
     res.status(200).json({
       status: 'success',
@@ -67,8 +117,9 @@ exports.getLeads = async (req, res) => {
 // Get a single lead by ID
 exports.getLead = async (req, res) => {
   try {
-    const lead = await Lead.findById(req.params.id)
+    const lead = await Lead.findOne(await access.leads(req.user, { _id: req.params.id }))
       .populate('assignedTo', 'firstName lastName email')
+      .populate('assignedTeam', 'name')
       .populate('createdBy', 'firstName lastName email');
     
     if (!lead) {
@@ -95,10 +146,14 @@ exports.getLead = async (req, res) => {
 // Create a new lead
 exports.createLead = async (req, res) => {
   try {
-    // Add the current user as the creator
-    req.body.createdBy = req.user.id;
+    // Add the current user as the creator; the history is only written through assignment
+    const { assignmentHistory, ...data } = req.body;
+    const newLead = new Lead({ ...data, createdBy: req.user.id });
     
-    const newLead = await Lead.create(req.body);
+    if (!(await checkNewOwner(req, res, { user: newLead.assignedTo, team: newLead.assignedTeam }))) return;
+    
+    await assignNewLeads([newLead], req.user);
+    await newLead.save();
     
     res.status(201).json({
       status: 'success',
@@ -125,14 +180,9 @@ exports.createLead = async (req, res) => {
 // Update a lead
 exports.updateLead = async (req, res) => {
   try {
-    const lead = await Lead.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true, // Return the updated document
-        runValidators: true // Run validators on update
-      }
-    );
+    const { assignedTo, assignedTeam, assignmentHistory, assignmentNote, ...updates } = req.body;
+    
+    const lead = await Lead.findOne(await access.leads(req.user, { _id: req.params.id }));
     
     if (!lead) {
       return res.status(404).json({
@@ -141,6 +191,21 @@ exports.updateLead = async (req, res) => {
       });
     }
     
+    // Owner changes go through the assignment history, under the same rules as a reassignment
+    const user = assignedTo !== undefined ? assignedTo : lead.assignedTo;
+    const team = assignedTeam !== undefined ? assignedTeam : lead.assignedTeam;
+    const userChanged = String(user || '') !== String(lead.assignedTo || '');
+    const teamChanged = String(team || '') !== String(lead.assignedTeam || '');
+    if (!(await checkNewOwner(req, res, { user: userChanged && user, team: teamChanged && team }))) return;
+    
+    lead.set(updates);
+    
+    if (userChanged || teamChanged) {
+      lead.assign({ user, team, assignedBy: req.user.id, note: assignmentNote });
+    }
+    
+    await lead.save();
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -158,7 +223,7 @@ exports.updateLead = async (req, res) => {
 // Delete a lead
 exports.deleteLead = async (req, res) => {
   try {
-    const lead = await Lead.findByIdAndDelete(req.params.id);
+    const lead = await Lead.findOneAndDelete(await access.leads(req.user, { _id: req.params.id }));
     
     if (!lead) {
       return res.status(404).json({
@@ -192,17 +257,20 @@ exports.bulkImportLeads = async (req, res) => {
     }
     
     // Add the current user as the creator for each lead
-    const leadsWithCreator = leads.map(lead => ({
+    const leadsWithCreator = leads.map(({ assignmentHistory, ...lead }) => new Lead({
       ...lead,
       createdBy: req.user.id
     }));
     
+    const assignment = await assignNewLeads(leadsWithCreator, req.user);
+    
     // Insert many with ordered: false to continue inserting even if some fail
     const result = await Lead.insertMany(leadsWithCreator, { ordered: false });
     
     res.status(201).json({
       status: 'success',
       imported: result.length,
+      assignment,
       data: {
         leads: result
       }
@@ -217,7 +285,7 @@ exports.bulkImportLeads = async (req, res) => {
         failed: error.writeErrors.length,
         errors: error.writeErrors.map(err => ({
           index: err.index,
-          error: err.errmsg
+          error: leadImporter.describeWriteError(err.err || err)
         }))
       });
     }
@@ -229,6 +297,75 @@ exports.bulkImportLeads = async (req, res) => {
   }
 };
 
+// Reassign leads in bulk, to a user or team or through the assignment rules
+exports.reassignLeads = async (req, res) => {
+  try {
+    const { leadIds, fromUser, status, toUser, toTeam, useRules, note } = req.body;
+    
+    if (!(Array.isArray(leadIds) && leadIds.length > 0) && !fromUser) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an array of leadIds or a fromUser whose leads to reassign'
+      });
+    }
+    
+    if (!toUser && !toTeam && !useRules) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a toUser, a toTeam or useRules: true'
+      });
+    }
+    
+    if (!(await checkNewOwner(req, res, { user: toUser, team: toTeam }, { user: 'toUser', team: 'toTeam' }))) return;
+    
+    // A rep's leads that are still being worked, unless other statuses are asked for
+    const filter = {};
+    if (Array.isArray(leadIds) && leadIds.length > 0) filter._id = { $in: leadIds };
+    if (fromUser) {
+      filter.assignedTo = fromUser;
+      filter.status = { $in: status ? [].concat(status) : Lead.openStatuses };
+    }
+    
+    const leads = await Lead.find(await access.leads(req.user, filter));
+    let summary;
+    
+    if (useRules) {
+      summary = await leadAssignment.assignAll(leads, {
+        assignedBy: req.user.id,
+        reason: 'Bulk Reassign',
+        note,
+        force: true
+      });
+    } else {
+      leads.forEach(lead => lead.assign({
+        user: toUser,
+        team: toTeam || lead.assignedTeam,
+        assignedBy: req.user.id,
+        reason: 'Bulk Reassign',
+        note
+      }));
+      summary = toUser
+        ? { assigned: leads.length, toTeam: 0, unmatched: 0 }
+        : { assigned: 0, toTeam: leads.length, unmatched: 0 };
+    }
+    
+    for (const lead of leads) {
+      await lead.save();
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      matched: leads.length,
+      ...summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 // Search leads
 exports.searchLeads = async (req, res) => {
   try {
@@ -242,7 +379,7 @@ exports.searchLeads = async (req, res) => {
     }
     
     const leads = await Lead.find(
-      { $text: { $search: query } },
+      await access.leads(req.user, { $text: { $search: query } }),
       { score: { $meta: 'textScore' } }
     )
       .sort({ score: { $meta: 'textScore' } })
@@ -261,4 +398,103 @@ exports.searchLeads = async (req, res) => {
       message: error.message
     });
   }
-}; 
\ No newline at end of file
+};
+
+// Report groups of leads that are probably the same person
+exports.getDuplicates = async (req, res) => {
+  try {
+    // ?match=a,b and ?match=a&match=b both work
+    const matches = req.query.match
+      ? [].concat(req.query.match).flatMap(match => String(match).split(',')).map(match => match.trim())
+      : undefined;
+    const unknown = (matches || []).filter(match => !Object.hasOwn(leadDedup.matchers, match));
+    
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown match types: ${unknown.join(', ')}; use ${Object.keys(leadDedup.matchers).join(', ')}`
+      });
+    }
+    
+    const filter = {};
+    if (req.query.status) filter.status = { $in: [].concat(req.query.status).flatMap(status => String(status).split(',')) };
+    
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    
+    const { totalGroups, groups } = await leadDedup.findDuplicates(await access.leads(req.user, filter), {
+      matches,
+      limit,
+      skip: (page - 1) * limit
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      results: groups.length,
+      totalGroups,
+      totalPages: Math.ceil(totalGroups / limit),
+      currentPage: page,
+      data: {
+        groups
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Merge duplicate leads into one, moving their history onto it
+exports.mergeLeads = async (req, res) => {
+  try {
+    const { survivorId, duplicateIds, fields } = req.body;
+    
+    if (!survivorId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a survivorId and an array of duplicateIds to merge into it'
+      });
+    }
+    
+    const ids = [...new Set(duplicateIds.map(String))];
+    if (ids.includes(String(survivorId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The surviving lead cannot also be a duplicate'
+      });
+    }
+    
+    const leads = await Lead.find(await access.leads(req.user, { _id: { $in: [survivorId, ...ids] } }));
+    const survivor = leads.find(lead => String(lead._id) === String(survivorId));
+    // Merge in the order the duplicates were given; earlier ones fill gaps first
+    const duplicates = ids.map(id => leads.find(lead => String(lead._id) === id)).filter(Boolean);
+    
+    if (!survivor || duplicates.length !== ids.length) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'One or more leads not found'
+      });
+    }
+    
+    const { lead, merged, moved } = await leadDedup.merge(survivor, duplicates, {
+      mergedBy: req.user.id,
+      fields
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      merged,
+      moved,
+      data: {
+        lead
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
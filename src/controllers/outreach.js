@@ -3,6 +3,14 @@ const Lead = require('../models/lead');
 const Campaign = require('../models/campaign');
 const outreachService = require('../services/outreach');
 const User = require('../models/user');
+const Template = require('../models/template');
+const templateRenderer = require('../services/templateRenderer');
+const syncWorker = require('../services/syncWorker');
+const callImporter = require('../services/callImporter');
+const capabilities = require('../services/capabilities');
+const integrations = require('../services/integrations');
+const access = require('../services/access');
+const mongoose = require('mongoose');
 const axios = require('axios');
 
 // Get all outreach activities with filters and pagination
@@ -19,8 +27,11 @@ exports.getOutreachActivities = async (req, res) => {
     let queryStr = JSON.stringify(queryObj);
     queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
     
+    // Only outreach the user can see
+    const filter = await access.outreach(req.user, JSON.parse(queryStr));
+    
     // Base query
-    let query = Outreach.find(JSON.parse(queryStr));
+    let query = Outreach.find(filter);
     
     // Sorting
     if (req.query.sort) {
@@ -53,7 +64,7 @@ exports.getOutreachActivities = async (req, res) => {
       .populate('sequence', 'name');
     
     // Get total count for pagination
-    const totalCount = await Outreach.countDocuments(JSON.parse(queryStr));
+    const totalCount = await Outreach.countDocuments(filter);
     
     res.status(200).json({
       status: 'success',
@@ -76,7 +87,7 @@ exports.getOutreachActivities = async (req, res) => {
 // Get a single outreach activity
 exports.getOutreachActivity = async (req, res) => {
   try {
-    const outreachActivity = await Outreach.findById(req.params.id)
+    const outreachActivity = await Outreach.findOne(await access.outreach(req.user, { _id: req.params.id }))
       .populate('lead', 'firstName lastName email company jobTitle')
       .populate('campaign', 'name type')
       .populate('performedBy', 'firstName lastName email')
@@ -110,7 +121,7 @@ exports.getLeadOutreachHistory = async (req, res) => {
     const { leadId } = req.params;
     const limit = req.query.limit ? parseInt(req.query.limit) : 10;
     
-    const lead = await Lead.findById(leadId);
+    const lead = await Lead.findOne(await access.leads(req.user, { _id: leadId }));
     if (!lead) {
       return res.status(404).json({
         status: 'error',
@@ -145,7 +156,7 @@ exports.getLeadOutreachHistory = async (req, res) => {
 exports.sendEmail = async (req, res) => {
   try {
     const { campaignId, leadId } = req.params;
-    const { subject, body, fromName, fromEmail, scheduledAt } = req.body;
+    const { subject, body, fromName, fromEmail, scheduledAt, variant } = req.body;
     
     // Check if user has Instantly integration
     const user = await User.findById(req.user.id);
@@ -157,7 +168,7 @@ exports.sendEmail = async (req, res) => {
     }
     
     // Validate campaign exists
-    const campaign = await Campaign.findById(campaignId);
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: campaignId }));
     if (!campaign) {
       return res.status(404).json({
         status: 'error',
@@ -173,7 +184,9 @@ exports.sendEmail = async (req, res) => {
       body,
       fromName: fromName || user.firstName + ' ' + user.lastName,
       fromEmail: fromEmail || user.email,
-      scheduledAt: scheduledAt ? new Date(scheduledAt) : new Date()
+      scheduledAt: scheduledAt ? new Date(scheduledAt) : new Date(),
+      // A/B test label for campaign-level variant stats
+      variant
     };
     
     const outreachActivity = await outreachService.sendEmail(
@@ -219,7 +232,7 @@ exports.scheduleCall = async (req, res) => {
     }
     
     // Validate campaign exists
-    const campaign = await Campaign.findById(campaignId);
+    const campaign = await Campaign.findOne(await access.campaigns(req.user, { _id: campaignId }));
     if (!campaign) {
       return res.status(404).json({
         status: 'error',
@@ -252,7 +265,7 @@ exports.scheduleCall = async (req, res) => {
     res.status(200).json({
       status: 'success',
       data: {
-        outreach
+        outreachActivity
       }
     });
   } catch (error) {
@@ -267,7 +280,7 @@ exports.scheduleCall = async (req, res) => {
 exports.sendLinkedInConnection = async (req, res) => {
   try {
     const { leadId } = req.params;
-    const { message, agentId, sessionCookie, campaignId } = req.body;
+    const { message, agentId, sessionCookie, campaignId, variant } = req.body;
     
     // Check user access to LinkedIn service
     if (!outreachService.hasChannelAccess(req.user, 'LinkedIn')) {
@@ -285,7 +298,8 @@ exports.sendLinkedInConnection = async (req, res) => {
       message,
       agentId,
       sessionCookie,
-      campaignId
+      campaignId,
+      variant
     };
     
     const outreach = await outreachService.sendLinkedInConnection(
@@ -318,7 +332,7 @@ exports.sendLinkedInConnection = async (req, res) => {
 exports.sendLinkedInMessage = async (req, res) => {
   try {
     const { leadId } = req.params;
-    const { message, agentId, sessionCookie, campaignId } = req.body;
+    const { message, agentId, sessionCookie, campaignId, variant } = req.body;
     
     // Check user access to LinkedIn service
     if (!outreachService.hasChannelAccess(req.user, 'LinkedIn')) {
@@ -336,7 +350,8 @@ exports.sendLinkedInMessage = async (req, res) => {
       message,
       agentId,
       sessionCookie,
-      campaignId
+      campaignId,
+      variant
     };
     
     const outreach = await outreachService.sendLinkedInMessage(
@@ -368,8 +383,8 @@ exports.sendLinkedInMessage = async (req, res) => {
 // Update outreach activity
 exports.updateOutreachActivity = async (req, res) => {
   try {
-    const outreachActivity = await Outreach.findByIdAndUpdate(
-      req.params.id,
+    const outreachActivity = await Outreach.findOneAndUpdate(
+      await access.outreach(req.user, { _id: req.params.id }),
       req.body,
       {
         new: true,
@@ -403,6 +418,13 @@ exports.syncOutreachStatus = async (req, res) => {
   try {
     const { id } = req.params;
     
+    if (!(await Outreach.exists(await access.outreach(req.user, { _id: id })))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Outreach activity not found'
+      });
+    }
+    
     // Initialize services for the user if needed
     outreachService.initUserServices(req.user);
     
@@ -422,14 +444,108 @@ exports.syncOutreachStatus = async (req, res) => {
   }
 };
 
+// Get the background sync worker's last run, failures and lag per channel
+exports.getSyncStatus = async (req, res) => {
+  try {
+    const syncStatus = await syncWorker.getStatus();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sync: syncStatus
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Run a sync sweep now instead of waiting for the next interval
+exports.runSync = async (req, res) => {
+  try {
+    const run = await syncWorker.run();
+
+    if (!run) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A sync run is already in progress'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        run
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Import Salesfinity calls as call outreach, using the user's own key when they have one
+exports.importSalesfinityCalls = async (req, res) => {
+  try {
+    const { full = false, maxPages = 0 } = req.body;
+
+    const user = mongoose.isValidObjectId(req.user._id) ? await User.findById(req.user._id) : null;
+    const hasOwnKey = user?.integrations?.salesfinity?.enabled && user?.integrations?.salesfinity?.apiKey;
+
+    const cursor = await callImporter.importCalls({
+      user: hasOwnKey ? user : null,
+      full: Boolean(full),
+      maxPages: parseInt(maxPages, 10) || 0
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        import: cursor
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get Salesfinity call import cursors and their last run
+exports.getSalesfinityImportStatus = async (req, res) => {
+  try {
+    const imports = await callImporter.getStatus();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        running: callImporter.running,
+        imports
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 // Create a follow-up outreach
 exports.createFollowUp = async (req, res) => {
   try {
     const { id } = req.params;
-    const { type, channel, content, scheduledAt } = req.body;
+    const { type, channel, scheduledAt, templateId } = req.body;
+    let content = req.body.content || {};
     
     // Get the parent outreach
-    const parentOutreach = await Outreach.findById(id);
+    const parentOutreach = await Outreach.findOne(await access.outreach(req.user, { _id: id }));
     if (!parentOutreach) {
       return res.status(404).json({
         status: 'error',
@@ -437,11 +553,50 @@ exports.createFollowUp = async (req, res) => {
       });
     }
     
+    // Take the copy from a saved template when one is given
+    if (templateId) {
+      const template = await Template.findOne({ _id: templateId, archived: false, ...Template.visibleTo(req.user) });
+      if (!template) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Template not found'
+        });
+      }
+      
+      if (Template.stepTypes[template.type] !== type) {
+        return res.status(400).json({
+          status: 'error',
+          message: `A ${template.type} template cannot be used for a ${type} follow-up`
+        });
+      }
+      
+      const templateContent = {
+        subject: template.subject,
+        body: template.body,
+        message: template.body,
+        notes: template.body
+      };
+      if (template.type.startsWith('LinkedIn')) {
+        templateContent.messageType = template.toContent().linkedin.messageType;
+      }
+      content = { ...templateContent, ...content };
+    }
+    
+    // Personalize the copy for the lead
+    const lead = await Lead.findById(parentOutreach.lead);
+    const context = templateRenderer.buildContext({
+      lead,
+      rep: req.user,
+      sender: { fromName: content.fromName, fromEmail: content.fromEmail }
+    });
+    const render = text => templateRenderer.renderText(text, context);
+    
     // Create the follow-up outreach
     const followUp = new Outreach({
       lead: parentOutreach.lead,
       campaign: parentOutreach.campaign,
       sequence: parentOutreach.sequence,
+      template: templateId,
       type,
       channel,
       status: 'Scheduled',
@@ -454,20 +609,20 @@ exports.createFollowUp = async (req, res) => {
     // Add content based on type
     if (type === 'Email') {
       followUp.email = {
-        subject: content.subject,
-        body: content.body,
+        subject: render(content.subject),
+        body: render(content.body),
         fromName: content.fromName || `${req.user.firstName} ${req.user.lastName}`,
         fromEmail: content.fromEmail || req.user.email
       };
     } else if (type === 'Call') {
       followUp.call = {
-        notes: content.notes,
+        notes: render(content.notes),
         dialedNumber: content.dialedNumber
       };
     } else if (type === 'LinkedIn') {
       followUp.linkedin = {
         messageType: content.messageType || 'Direct Message',
-        message: content.message
+        message: render(content.message)
       };
     }
     
@@ -492,32 +647,40 @@ exports.createFollowUp = async (req, res) => {
 };
 
 // Test endpoints for integrations
+
+// Check the account the request user works through and probe what it can do.
+// Answers 401 and returns null when the connection fails.
+const getTestAccount = async (req, res, integration) => {
+  const result = await integrations.test(req.user, integration);
+  if (!result.valid) {
+    res.status(401).json({
+      status: 'error',
+      message: `Failed to connect to ${integration}`,
+      error: result.error,
+      health: result.health
+    });
+    return null;
+  }
+
+  const owner = capabilities.getOwner(req.user, integration);
+  const service = outreachService.getService(owner || 'default', integration);
+  const record = await capabilities.probe(integration, service, owner);
+
+  return {
+    service,
+    owner,
+    account: result.account,
+    health: result.health,
+    tier: record.tier,
+    capabilities: record.capabilities.map(({ name, available, error }) => ({ name, available, error: error || null }))
+  };
+};
+
 exports.testInstantlyIntegration = async (req, res) => {
   try {
-    const InstantlyService = require('../services/InstantlyService');
-    const apiKey = process.env.INSTANTLY_API_KEY;
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Instantly API key is missing in environment variables'
-      });
-    }
-    
-    const instantlyService = new InstantlyService(apiKey);
-    
-    // Test connection
-    const isConnected = await instantlyService.testConnection();
-    
-    if (!isConnected) {
-      return res.status(500).json({
-        status: 'error',
-        message: 'Failed to connect to Instantly API'
-      });
-    }
-    
-    // Get API tier info
-    const apiTierInfo = instantlyService.getApiTierInfo();
+    const tested = await getTestAccount(req, res, 'Instantly');
+    if (!tested) return;
+    const { service: instantlyService, ...account } = tested;
     
     // Get campaigns
     const campaigns = await instantlyService.getCampaigns(5);
@@ -525,17 +688,19 @@ exports.testInstantlyIntegration = async (req, res) => {
     return res.status(200).json({
       status: 'success',
       data: {
-        apiTierInfo,
+        account: account.account,
+        health: account.health,
+        tier: account.tier,
+        capabilities: account.capabilities,
         campaigns: campaigns.map(c => ({
           id: c.id,
           name: c.name,
           status: c.status
-        })),
-        availableEndpoints: apiTierInfo.availableEndpoints
+        }))
       }
     });
   } catch (error) {
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       status: 'error',
       message: error.message
     });
@@ -544,32 +709,11 @@ exports.testInstantlyIntegration = async (req, res) => {
 
 exports.testSalesfinityIntegration = async (req, res) => {
   try {
-    // Retrieve API credentials from environment variables
-    const apiKey = process.env.SALESFINITY_API_KEY || 'ff463994-d38c-43f3-a100-7dcc519570b9';
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Salesfinity API key not configured'
-      });
-    }
-    
-    // Create a SalesfinityService instance
-    const SalesfinityService = require('../services/salesfinity');
-    const salesfinityService = new SalesfinityService(apiKey);
+    const tested = await getTestAccount(req, res, 'Salesfinity');
+    if (!tested) return;
+    const { service: salesfinityService, ...account } = tested;
     
     try {
-      // Test the connection
-      const connectionResult = await salesfinityService.validateConnection();
-      
-      if (!connectionResult.valid) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Failed to authenticate with Salesfinity API',
-          error: connectionResult.error
-        });
-      }
-      
       // Get contact lists (real data)
       const listsResult = await salesfinityService.getContactLists(1, 10);
       const contactLists = listsResult.data || [];
@@ -587,11 +731,10 @@ exports.testSalesfinityIntegration = async (req, res) => {
         status: 'success',
         message: 'Connected to Salesfinity API',
         apiVersion: 'v1',
-        apiCapabilities: {
-          contactListRetrieval: true,
-          callLogRetrieval: true,
-          teamMemberRetrieval: true
-        },
+        account: account.account,
+        health: account.health,
+        tier: account.tier,
+        capabilities: account.capabilities,
         data: {
           contactLists: {
             count: listsResult.totalLists || contactLists.length,
@@ -640,7 +783,7 @@ exports.testSalesfinityIntegration = async (req, res) => {
     }
   } catch (error) {
     console.error('Salesfinity API test error:', error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       status: 'error',
       message: 'Error testing Salesfinity integration',
       error: error.message
@@ -660,19 +803,9 @@ exports.testLinkedInIntegration = async (req, res) => {
 // Comprehensive test for all Salesfinity APIs
 exports.testAllSalesfinityApis = async (req, res) => {
   try {
-    // Retrieve API credentials from environment variables
-    const apiKey = process.env.SALESFINITY_API_KEY || 'ff463994-d38c-43f3-a100-7dcc519570b9';
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Salesfinity API key not configured'
-      });
-    }
-    
-    // Create a SalesfinityService instance
-    const SalesfinityService = require('../services/salesfinity');
-    const salesfinityService = new SalesfinityService(apiKey);
+    const integration = await integrations.test(req.user, 'Salesfinity');
+    const owner = capabilities.getOwner(req.user, 'Salesfinity');
+    const salesfinityService = outreachService.getService(owner || 'default', 'Salesfinity');
     
     const results = {
       connection: { status: 'pending' },
@@ -689,13 +822,12 @@ exports.testAllSalesfinityApis = async (req, res) => {
     
     try {
       // 1. Test connection
-      const connectionResult = await salesfinityService.validateConnection();
       results.connection = {
-        status: connectionResult.valid ? 'success' : 'error',
-        data: connectionResult
+        status: integration.valid ? 'success' : 'error',
+        data: integration
       };
       
-      if (!connectionResult.valid) {
+      if (!integration.valid) {
         throw new Error('Failed to connect to Salesfinity API');
       }
       
@@ -751,13 +883,10 @@ exports.testAllSalesfinityApis = async (req, res) => {
           data: createListResult.data
         };
       } catch (error) {
-        console.log('Create list may not be available in this API tier, simulating...');
         results.createList = {
-          status: 'simulated',
-          message: 'Create list endpoint may require higher API tier, using mock data',
-          data: { name: listName, _id: `mock-list-${Date.now()}` }
+          status: 'unavailable',
+          error: error.message
         };
-        createdListId = results.createList.data._id;
       }
       
       // 5. Add a contact to the list
@@ -788,11 +917,9 @@ exports.testAllSalesfinityApis = async (req, res) => {
           throw new Error('No list ID available');
         }
       } catch (error) {
-        console.log('Add contact may not be available in this API tier, simulating...');
         results.addContact = {
-          status: 'simulated',
-          message: 'Add contact endpoint may require higher API tier, using mock data',
-          data: { ...contact, added: true }
+          status: 'unavailable',
+          error: error.message
         };
       }
       
@@ -808,11 +935,9 @@ exports.testAllSalesfinityApis = async (req, res) => {
           throw new Error('No list ID available');
         }
       } catch (error) {
-        console.log('Reimport contacts may not be available in this API tier, simulating...');
         results.reimportContacts = {
-          status: 'simulated',
-          message: 'Reimport contacts endpoint may require higher API tier, using mock data',
-          data: { queued: true, list_id: createdListId }
+          status: 'unavailable',
+          error: error.message
         };
       }
       
@@ -828,14 +953,17 @@ exports.testAllSalesfinityApis = async (req, res) => {
           throw new Error('No list ID available');
         }
       } catch (error) {
-        console.log('Delete list may not be available in this API tier, simulating...');
         results.deleteList = {
-          status: 'simulated',
-          message: 'Delete list endpoint may require higher API tier, using mock data',
-          data: { deleted: true, list_id: createdListId }
+          status: 'unavailable',
+          error: error.message
         };
       }
       
+      // Record whether the account can manage contact lists, which probing alone cannot tell
+      const listSteps = [results.createList, results.addContact, results.reimportContacts, results.deleteList];
+      const failedStep = listSteps.find(step => step.status !== 'success');
+      await capabilities.record('Salesfinity', owner, 'contactListManagement', !failedStep, failedStep?.error);
+      
       // 8. Get call logs
       const callLogsResult = await salesfinityService.getCallLogs(1, 5);
       results.getCallLogs = {
@@ -862,7 +990,7 @@ exports.testAllSalesfinityApis = async (req, res) => {
     }
   } catch (error) {
     console.error('Salesfinity API test error:', error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       status: 'error',
       message: 'Error testing Salesfinity integration',
       error: error.message
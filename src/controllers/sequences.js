@@ -0,0 +1,957 @@
+const Sequence = require('../models/sequence');
+const Campaign = require('../models/campaign');
+const SequenceEnrollment = require('../models/sequenceEnrollment');
+const Template = require('../models/template');
+const abTesting = require('../services/abTesting');
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Channels that can carry each step type
+const STEP_CHANNELS = {
+  Email: ['Instantly', 'Personal Email', 'Manual'],
+  Call: ['Salesfinity', 'Manual', 'Other'],
+  LinkedIn: ['LinkedIn', 'Manual'],
+  Task: ['Manual', 'Other'],
+  Wait: ['Instantly', 'Personal Email', 'Salesfinity', 'LinkedIn', 'Manual', 'Other']
+};
+
+// Step types whose copy can be A/B tested
+const VARIANT_STEP_TYPES = ['Email', 'LinkedIn'];
+
+// Whether a variant supplies all of a step's copy on its own
+const variantHasFullCopy = (step, variant) => {
+  if (variant.template) return true;
+  const content = variant.content || {};
+  return step.type === 'Email'
+    ? Boolean(content.email?.subject && content.email?.body)
+    : Boolean(content.linkedin?.message);
+};
+
+// Check the content a step needs for its type
+const validateStepContent = (step) => {
+  const content = step.content || {};
+  // The step's own copy is not needed when every variant brings its own
+  const variantsCarryCopy = Array.isArray(step.variants) && step.variants.length > 0 &&
+    step.variants.every(variant => variantHasFullCopy(step, variant));
+
+  // Copy comes from the saved template, checked separately
+  if (step.template && step.type !== 'Wait') {
+    return null;
+  }
+
+  switch (step.type) {
+    case 'Email':
+      if (!variantsCarryCopy && (!content.email?.subject || !content.email?.body)) {
+        return 'Email steps need an email subject and body';
+      }
+      break;
+    case 'Call':
+      if (!content.call?.script) {
+        return 'Call steps need a call script';
+      }
+      break;
+    case 'LinkedIn':
+      if (!content.linkedin?.messageType) {
+        return 'LinkedIn steps need a message type';
+      }
+      // Connection requests may go out without a note
+      if (content.linkedin.messageType !== 'Connection Request' && !content.linkedin.message &&
+          !variantsCarryCopy) {
+        return 'LinkedIn steps need a message';
+      }
+      break;
+    case 'Task':
+      if (!content.task?.instructions) {
+        return 'Task steps need instructions';
+      }
+      break;
+    case 'Wait':
+      if (!(step.delay > 0)) {
+        return 'Wait steps need a delay greater than zero';
+      }
+      break;
+  }
+
+  return null;
+};
+
+// Label used in validation messages
+const stepLabel = (step, index) => `Step ${index + 1}${step.name ? ` (${step.name})` : ''}`;
+
+// Branch and default targets must be later steps so every path through a sequence ends
+const validateStepTargets = (step, label, orders) => {
+  const errors = [];
+  const isLaterStep = target => orders.has(target) && target > step.order;
+
+  (step.branches || []).forEach((branch, branchIndex) => {
+    const branchLabel = `${label}, branch ${branchIndex + 1}`;
+
+    if (!isLaterStep(branch.nextStep)) {
+      errors.push(`${branchLabel}: nextStep must be the order of a later step`);
+    }
+
+    (branch.conditions || []).forEach(condition => {
+      if (!orders.has(condition.step) || condition.step > step.order) {
+        errors.push(`${branchLabel}: conditions can only check this step or earlier ones`);
+      }
+      if (['equals', 'notEquals'].includes(condition.operator) && !condition.value) {
+        errors.push(`${branchLabel}: ${condition.operator} conditions need a value`);
+      }
+    });
+  });
+
+  if (step.defaultNextStep !== undefined && step.defaultNextStep !== null &&
+      !isLaterStep(step.defaultNextStep)) {
+    errors.push(`${label}: defaultNextStep must be the order of a later step`);
+  }
+
+  return errors;
+};
+
+// A/B variants need a name, a usable traffic split and some copy of their own
+const validateStepVariants = (step, label) => {
+  const variants = step.variants || [];
+  if (variants.length === 0) return [];
+
+  if (!VARIANT_STEP_TYPES.includes(step.type)) {
+    return [`${label}: only Email and LinkedIn steps can have variants`];
+  }
+
+  const errors = [];
+  if (variants.length < 2) {
+    errors.push(`${label}: A/B tests need at least two variants`);
+  }
+
+  const names = new Set();
+  variants.forEach((variant, index) => {
+    const variantLabel = `${label}, variant ${index + 1}`;
+
+    if (!variant.name) {
+      errors.push(`${variantLabel}: name is required`);
+    } else if (names.has(variant.name)) {
+      errors.push(`${variantLabel}: name "${variant.name}" is used by more than one variant`);
+    } else {
+      names.add(variant.name);
+    }
+
+    if (variant.weight !== undefined && (typeof variant.weight !== 'number' || variant.weight < 0)) {
+      errors.push(`${variantLabel}: weight must be zero or more`);
+    }
+
+    const content = variant.content || {};
+    const hasCopy = variant.template || content.email?.subject || content.email?.body || content.linkedin?.message;
+    if (!hasCopy) {
+      errors.push(`${variantLabel}: needs a template or its own copy`);
+    }
+  });
+
+  const totalWeight = variants.reduce((sum, v) => sum + (v.weight ?? 1), 0);
+  if (!(totalWeight > 0)) {
+    errors.push(`${label}: at least one variant needs a weight above zero`);
+  }
+
+  if (step.winningVariant && !variants.some(v => v._id && String(v._id) === String(step.winningVariant))) {
+    errors.push(`${label}: winningVariant must be one of the step's variants`);
+  }
+
+  return errors;
+};
+
+// Validate step ordering, scheduling, content and branching; returns a list of problems
+const validateSteps = (steps) => {
+  if (!Array.isArray(steps)) {
+    return ['Steps must be an array'];
+  }
+
+  const errors = [];
+  const seenOrders = new Set();
+
+  steps.forEach((step, index) => {
+    const label = stepLabel(step, index);
+
+    if (!Number.isInteger(step.order) || step.order < 1) {
+      errors.push(`${label}: order must be a positive integer`);
+    } else if (seenOrders.has(step.order)) {
+      errors.push(`${label}: order ${step.order} is used by more than one step`);
+    } else {
+      seenOrders.add(step.order);
+    }
+
+    if (!STEP_CHANNELS[step.type]) {
+      errors.push(`${label}: unknown step type "${step.type}"`);
+      return;
+    }
+
+    if (!STEP_CHANNELS[step.type].includes(step.channel)) {
+      errors.push(`${label}: ${step.type} steps cannot use the ${step.channel} channel`);
+    }
+
+    if (step.delay !== undefined && (typeof step.delay !== 'number' || step.delay < 0)) {
+      errors.push(`${label}: delay must be zero or more hours`);
+    }
+
+    if (step.activeDays && step.activeDays.some(day => !WEEKDAYS.includes(day))) {
+      errors.push(`${label}: activeDays must be weekday names`);
+    }
+
+    if (step.activeHours) {
+      const start = step.activeHours.start ?? 9;
+      const end = step.activeHours.end ?? 17;
+      if (start < 0 || end > 24 || start >= end) {
+        errors.push(`${label}: activeHours must satisfy 0 <= start < end <= 24`);
+      }
+    }
+
+    const contentError = validateStepContent(step);
+    if (contentError) {
+      errors.push(`${label}: ${contentError}`);
+    }
+
+    errors.push(...validateStepVariants(step, label));
+  });
+
+  // Targets can only be checked once every order is known
+  steps.forEach((step, index) => {
+    errors.push(...validateStepTargets(step, stepLabel(step, index), seenOrders));
+  });
+
+  return errors;
+};
+
+// Check that referenced templates, including those of variants, exist, are visible to the user and suit their step type
+const validateStepTemplates = async (steps, user) => {
+  const references = [];
+  steps.forEach((step, index) => {
+    const label = stepLabel(step, index);
+    if (step.template) {
+      references.push({ step, label, templateId: step.template });
+    }
+    (step.variants || []).forEach((variant, variantIndex) => {
+      if (variant.template) {
+        references.push({ step, label: `${label}, variant ${variantIndex + 1}`, templateId: variant.template });
+      }
+    });
+  });
+  if (references.length === 0) return [];
+
+  const templates = await Template.find({
+    _id: { $in: references.map(ref => ref.templateId) },
+    archived: false,
+    ...Template.visibleTo(user)
+  });
+  const templatesById = new Map(templates.map(t => [t._id.toString(), t]));
+  const errors = [];
+
+  references.forEach(({ step, label, templateId }) => {
+    const template = templatesById.get(String(templateId));
+    if (!template) {
+      errors.push(`${label}: template not found`);
+    } else if (Template.stepTypes[template.type] !== step.type) {
+      errors.push(`${label}: a ${template.type} template cannot be used in a ${step.type} step`);
+    }
+  });
+
+  return errors;
+};
+
+// Run every step check
+const checkSteps = async (steps, user) => {
+  const errors = validateSteps(steps);
+  if (errors.length > 0) return errors;
+  return validateStepTemplates(steps, user);
+};
+
+// Plain step objects, whether they come from a request body or a document
+const toPlainSteps = (steps) => steps.map(step => (step.toObject ? step.toObject() : step));
+
+// Keep Campaign.sequences in step with a sequence's campaign
+const syncCampaignSequences = async (sequenceId, previousCampaignId, campaignId) => {
+  if (previousCampaignId && String(previousCampaignId) !== String(campaignId)) {
+    await Campaign.findByIdAndUpdate(previousCampaignId, { $pull: { sequences: sequenceId } });
+  }
+
+  if (campaignId) {
+    await Campaign.findByIdAndUpdate(campaignId, { $addToSet: { sequences: sequenceId } });
+  }
+};
+
+// Send a 400 with step validation errors
+const sendStepErrors = (res, errors) => res.status(400).json({
+  status: 'error',
+  message: 'Invalid sequence steps',
+  errors
+});
+
+// Get all sequences with filtering and pagination
+exports.getSequences = async (req, res) => {
+  try {
+    // Build query
+    const queryObj = { ...req.query };
+
+    // Fields to exclude from filtering
+    const excludedFields = ['page', 'sort', 'limit', 'fields'];
+    excludedFields.forEach(field => delete queryObj[field]);
+
+    // Advanced filtering
+    let queryStr = JSON.stringify(queryObj);
+    queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
+
+    // Base query
+    let query = Sequence.find(JSON.parse(queryStr));
+
+    // Sorting
+    if (req.query.sort) {
+      const sortBy = req.query.sort.split(',').join(' ');
+      query = query.sort(sortBy);
+    } else {
+      query = query.sort('-createdAt');
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const skip = (page - 1) * limit;
+
+    query = query.skip(skip).limit(limit);
+
+    // Execute query with population
+    const sequences = await query
+      .populate('campaign', 'name type status')
+      .populate('createdBy', 'firstName lastName email');
+
+    // Get total count for pagination
+    const totalCount = await Sequence.countDocuments(JSON.parse(queryStr));
+
+    res.status(200).json({
+      status: 'success',
+      results: sequences.length,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      currentPage: page,
+      data: {
+        sequences
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get a single sequence
+exports.getSequence = async (req, res) => {
+  try {
+    const sequence = await Sequence.findById(req.params.id)
+      .populate('campaign', 'name type status')
+      .populate('assignedUsers', 'firstName lastName email')
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sequence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Create a new sequence
+exports.createSequence = async (req, res) => {
+  try {
+    const errors = await checkSteps(req.body.steps || [], req.user);
+    if (errors.length > 0) {
+      return sendStepErrors(res, errors);
+    }
+
+    if (req.body.campaign && !(await Campaign.exists({ _id: req.body.campaign }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Campaign not found'
+      });
+    }
+
+    // New sequences start as drafts with fresh metrics; use the activate route to go live
+    const { status, metrics, ...fields } = req.body;
+    const newSequence = await Sequence.create({
+      ...fields,
+      status: 'Draft',
+      createdBy: req.user.id
+    });
+
+    await syncCampaignSequences(newSequence._id, null, newSequence.campaign);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        sequence: newSequence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Update a sequence
+exports.updateSequence = async (req, res) => {
+  try {
+    // Status changes go through the activate / pause / archive routes
+    if (req.body.status) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This route is not for status changes. Please use /activate, /pause or /archive'
+      });
+    }
+
+    const sequence = await Sequence.findById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    if (req.body.steps) {
+      const errors = await checkSteps(req.body.steps, req.user);
+      if (errors.length > 0) {
+        return sendStepErrors(res, errors);
+      }
+    }
+
+    if (req.body.campaign && !(await Campaign.exists({ _id: req.body.campaign }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Campaign not found'
+      });
+    }
+
+    const previousCampaign = sequence.campaign;
+    const allowedFields = ['name', 'description', 'primaryType', 'steps', 'campaign', 'assignedUsers'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        sequence[field] = req.body[field];
+      }
+    });
+
+    await sequence.save();
+
+    if (req.body.campaign !== undefined) {
+      await syncCampaignSequences(sequence._id, previousCampaign, sequence.campaign);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sequence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Delete a sequence
+exports.deleteSequence = async (req, res) => {
+  try {
+    const sequence = await Sequence.findByIdAndDelete(req.params.id);
+
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    // Detach from the campaign and drop its enrollments
+    await syncCampaignSequences(sequence._id, sequence.campaign, null);
+    await SequenceEnrollment.deleteMany({ sequence: sequence._id });
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Add a step to a sequence
+exports.addStep = async (req, res) => {
+  try {
+    const sequence = await Sequence.findById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    // Append to the end unless an order is given
+    const lastOrder = sequence.steps.reduce((max, step) => Math.max(max, step.order), 0);
+    const step = { ...req.body, order: req.body.order ?? lastOrder + 1 };
+
+    const errors = await checkSteps([...toPlainSteps(sequence.steps), step], req.user);
+    if (errors.length > 0) {
+      return sendStepErrors(res, errors);
+    }
+
+    sequence.steps.push(step);
+    await sequence.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        sequence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Update a single step of a sequence
+exports.updateStep = async (req, res) => {
+  try {
+    const sequence = await Sequence.findById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    const step = sequence.steps.id(req.params.stepId);
+    if (!step) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Step not found'
+      });
+    }
+
+    const changes = { ...req.body, _id: step._id };
+    // A declared winner is only set through the winner endpoint and does not survive new variants
+    delete changes.winningVariant;
+    if (changes.variants) {
+      changes.winningVariant = undefined;
+    }
+
+    const updatedSteps = toPlainSteps(sequence.steps).map(s => (
+      String(s._id) === String(step._id) ? { ...s, ...changes } : s
+    ));
+
+    const errors = await checkSteps(updatedSteps, req.user);
+    if (errors.length > 0) {
+      return sendStepErrors(res, errors);
+    }
+
+    step.set(changes);
+    await sequence.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sequence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Remove a step from a sequence
+exports.removeStep = async (req, res) => {
+  try {
+    const sequence = await Sequence.findById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    const step = sequence.steps.id(req.params.stepId);
+    if (!step) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Step not found'
+      });
+    }
+
+    // Branches of other steps must not be left pointing at the removed step
+    const remaining = toPlainSteps(sequence.steps).filter(s => String(s._id) !== String(step._id));
+    const errors = await checkSteps(remaining, req.user);
+    if (errors.length > 0) {
+      return sendStepErrors(res, errors);
+    }
+
+    // Remaining orders are kept so in-flight enrollments stay on their step
+    step.deleteOne();
+    await sequence.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sequence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Reorder steps by passing their IDs in the new order
+exports.reorderSteps = async (req, res) => {
+  try {
+    const { steps } = req.body;
+
+    if (!steps || !Array.isArray(steps) || steps.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an array of step IDs'
+      });
+    }
+
+    const sequence = await Sequence.findById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    const currentIds = sequence.steps.map(step => step._id.toString()).sort();
+    const requestedIds = [...steps].map(String).sort();
+    if (currentIds.length !== requestedIds.length ||
+        currentIds.some((id, index) => id !== requestedIds[index])) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Step IDs must list every step of the sequence exactly once'
+      });
+    }
+
+    // Branch targets and conditions refer to steps by order, so they move with their steps
+    const newOrders = new Map(steps.map((stepId, index) => [sequence.steps.id(stepId).order, index + 1]));
+    const remap = order => (newOrders.has(order) ? newOrders.get(order) : order);
+    const reordered = toPlainSteps(sequence.steps).map(step => ({
+      ...step,
+      order: remap(step.order),
+      defaultNextStep: step.defaultNextStep === undefined || step.defaultNextStep === null
+        ? step.defaultNextStep
+        : remap(step.defaultNextStep),
+      branches: (step.branches || []).map(branch => ({
+        ...branch,
+        nextStep: remap(branch.nextStep),
+        conditions: (branch.conditions || []).map(condition => ({ ...condition, step: remap(condition.step) }))
+      }))
+    }));
+
+    // A branch may now point back at an earlier step, which would loop
+    const errors = await checkSteps(reordered, req.user);
+    if (errors.length > 0) {
+      return sendStepErrors(res, errors);
+    }
+
+    sequence.steps = reordered.sort((a, b) => a.order - b.order);
+    await sequence.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sequence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Clone a sequence as a new draft
+exports.cloneSequence = async (req, res) => {
+  try {
+    const sequence = await Sequence.findById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    const steps = toPlainSteps(sequence.steps).map(({ _id, ...step }) => step);
+
+    const clone = await Sequence.create({
+      name: req.body.name || `${sequence.name} (Copy)`,
+      description: sequence.description,
+      primaryType: sequence.primaryType,
+      status: 'Draft',
+      steps,
+      campaign: req.body.campaign !== undefined ? req.body.campaign : sequence.campaign,
+      assignedUsers: sequence.assignedUsers,
+      createdBy: req.user.id
+    });
+
+    await syncCampaignSequences(clone._id, null, clone.campaign);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        sequence: clone
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Activate a sequence so it can enroll leads and run steps
+exports.activateSequence = async (req, res) => {
+  try {
+    const sequence = await Sequence.findById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    if (sequence.status === 'Archived') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Archived sequences cannot be activated. Clone it instead'
+      });
+    }
+
+    if (sequence.steps.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A sequence needs at least one step before it can be activated'
+      });
+    }
+
+    const errors = await checkSteps(toPlainSteps(sequence.steps), req.user);
+    if (errors.length > 0) {
+      return sendStepErrors(res, errors);
+    }
+
+    sequence.status = 'Active';
+    await sequence.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sequence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Build a handler that moves a sequence to a fixed status
+const setSequenceStatus = (status, allowedFrom) => async (req, res) => {
+  try {
+    const sequence = await Sequence.findById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    if (!allowedFrom.includes(sequence.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot move a ${sequence.status.toLowerCase()} sequence to ${status.toLowerCase()}`
+      });
+    }
+
+    sequence.status = status;
+    await sequence.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sequence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Pause a sequence; its enrollments hold until it is reactivated
+exports.pauseSequence = setSequenceStatus('Paused', ['Active']);
+
+// Archive a sequence
+exports.archiveSequence = setSequenceStatus('Archived', ['Draft', 'Active', 'Paused']);
+
+// Per-variant results of a step's A/B test
+exports.getStepVariantStats = async (req, res) => {
+  try {
+    const sequence = await Sequence.findById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    const step = sequence.steps.id(req.params.stepId);
+    if (!step) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Step not found'
+      });
+    }
+
+    const stats = await abTesting.getVariantStats({
+      sequence: sequence._id,
+      variantId: { $in: step.variants.map(v => v._id) }
+    });
+
+    // Variants with no sends yet are still listed
+    const variants = step.variants.map(variant => {
+      const result = stats.find(r => String(r.variantId) === String(variant._id));
+      return {
+        variantId: variant._id,
+        variant: variant.name,
+        weight: variant.weight,
+        winner: String(variant._id) === String(step.winningVariant),
+        sent: 0,
+        opened: 0,
+        replied: 0,
+        positiveReplies: 0,
+        openRate: 0,
+        replyRate: 0,
+        positiveReplyRate: 0,
+        ...result
+      };
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        winningVariant: step.winningVariant || null,
+        variants
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Declare the winning variant of a step once the difference is statistically significant
+exports.declareStepWinner = async (req, res) => {
+  try {
+    const { metric, confidence, minSample } = req.body;
+
+    const optionsError = abTesting.validateWinnerOptions({ metric, confidence, minSample });
+    if (optionsError) {
+      return res.status(400).json({
+        status: 'error',
+        message: optionsError
+      });
+    }
+
+    const sequence = await Sequence.findById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sequence not found'
+      });
+    }
+
+    const step = sequence.steps.id(req.params.stepId);
+    if (!step) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Step not found'
+      });
+    }
+
+    if (step.variants.length < 2) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This step is not being A/B tested'
+      });
+    }
+
+    const stats = await abTesting.getVariantStats({
+      sequence: sequence._id,
+      variantId: { $in: step.variants.map(v => v._id) }
+    });
+    const result = abTesting.evaluateWinner(stats, { metric, confidence, minSample });
+
+    if (!result.significant) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.reason,
+        data: {
+          result
+        }
+      });
+    }
+
+    // Every lead reaching the step from now on gets the winner
+    step.winningVariant = result.winner.variantId;
+    await sequence.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        result,
+        sequence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
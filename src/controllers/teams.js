@@ -0,0 +1,347 @@
+const Team = require('../models/team');
+const User = require('../models/user');
+const Lead = require('../models/lead');
+const Campaign = require('../models/campaign');
+const teamRollup = require('../services/teamRollup');
+
+// Teams a user can see: all for admins, otherwise the ones they manage or belong to
+const visibleTo = (user) => (
+  user.role === 'admin' ? {} : { $or: [{ manager: user._id }, { members: user._id }] }
+);
+
+// Only admins and the team's manager can change a team or see its rollup
+const canManage = (team, user) => user.role === 'admin' || team.isManagedBy(user._id);
+
+// Check that every ID belongs to a user
+const allUsersExist = async (ids) => (
+  (await User.countDocuments({ _id: { $in: ids } })) === new Set(ids.map(String)).size
+);
+
+// Managing a team widens what a user can see, so only managers and admins can run one
+const canLeadTeams = async (id) => Boolean(await User.exists({ _id: id, role: { $in: ['manager', 'admin'] } }));
+
+// Team membership widens what a manager can see, so managers may only add sales reps who are on no other team
+const canAddMembers = async (team, ids, user) => {
+  if (user.role === 'admin') return true;
+
+  const reps = await User.countDocuments({ _id: { $in: ids }, role: 'sales_rep' });
+  if (reps !== new Set(ids.map(String)).size) return false;
+
+  return !(await Team.exists({ _id: { $ne: team._id }, members: { $in: ids } }));
+};
+
+// Load a visible team for the request, answering 404 or 403 when it cannot be used
+const getManagedTeam = async (req, res) => {
+  const team = await Team.findOne({ _id: req.params.id, ...visibleTo(req.user) });
+  if (!team) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Team not found'
+    });
+    return null;
+  }
+
+  if (!canManage(team, req.user)) {
+    res.status(403).json({
+      status: 'error',
+      message: 'Only the team manager or an admin can do this'
+    });
+    return null;
+  }
+
+  return team;
+};
+
+// Get all visible teams
+exports.getTeams = async (req, res) => {
+  try {
+    const filter = { ...visibleTo(req.user) };
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    if (req.query.territory) filter.territories = req.query.territory;
+
+    const teams = await Team.find(filter)
+      .sort('name')
+      .populate('manager', 'firstName lastName email')
+      .populate('members', 'firstName lastName email role');
+
+    res.status(200).json({
+      status: 'success',
+      results: teams.length,
+      data: {
+        teams
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get a single team
+exports.getTeam = async (req, res) => {
+  try {
+    const team = await Team.findOne({ _id: req.params.id, ...visibleTo(req.user) })
+      .populate('manager', 'firstName lastName email')
+      .populate('members', 'firstName lastName email role');
+
+    if (!team) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Team not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        team
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Create a team (as admin)
+exports.createTeam = async (req, res) => {
+  try {
+    const { name, description, manager, members = [], territories } = req.body;
+
+    if (!manager || !(await allUsersExist([manager, ...members]))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a valid manager and member user IDs'
+      });
+    }
+
+    if (!(await canLeadTeams(manager))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The team manager must be a user with the manager or admin role'
+      });
+    }
+
+    const team = await Team.create({ name, description, manager, members, territories });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        team
+      }
+    });
+  } catch (error) {
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A team with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Update a team's details; only admins can hand it to another manager
+exports.updateTeam = async (req, res) => {
+  try {
+    const team = await getManagedTeam(req, res);
+    if (!team) return;
+
+    const { name, description, territories, active, manager } = req.body;
+
+    if (manager !== undefined) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Only an admin can change a team\'s manager'
+        });
+      }
+      if (!(await allUsersExist([manager]))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Manager user ID is invalid'
+        });
+      }
+      if (!(await canLeadTeams(manager))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'The team manager must be a user with the manager or admin role'
+        });
+      }
+      team.manager = manager;
+    }
+
+    if (name !== undefined) team.name = name;
+    if (description !== undefined) team.description = description;
+    if (territories !== undefined) team.territories = territories;
+    if (active !== undefined) team.active = active;
+    await team.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        team
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A team with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Delete a team (as admin) and drop the references to it
+exports.deleteTeam = async (req, res) => {
+  try {
+    const team = await Team.findByIdAndDelete(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Team not found'
+      });
+    }
+
+    await Campaign.updateMany({ teams: team._id }, { $pull: { teams: team._id } });
+    await Lead.updateMany({ assignedTeam: team._id }, { $unset: { assignedTeam: 1 } });
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Add members to a team
+exports.addTeamMembers = async (req, res) => {
+  try {
+    const { members } = req.body;
+
+    if (!members || !Array.isArray(members) || members.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an array of user IDs'
+      });
+    }
+
+    const team = await getManagedTeam(req, res);
+    if (!team) return;
+
+    if (!(await allUsersExist(members))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Some user IDs are invalid'
+      });
+    }
+
+    if (!(await canAddMembers(team, members, req.user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Managers can only add sales reps who are not on another team; ask an admin for anyone else'
+      });
+    }
+
+    team.members.addToSet(...members);
+    await team.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        team
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Remove members from a team
+exports.removeTeamMembers = async (req, res) => {
+  try {
+    const { members } = req.body;
+
+    if (!members || !Array.isArray(members) || members.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an array of user IDs'
+      });
+    }
+
+    const team = await getManagedTeam(req, res);
+    if (!team) return;
+
+    team.members = team.members.filter(
+      memberId => !members.includes(memberId.toString())
+    );
+    await team.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        team
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get the team's pipeline and activity, overall and per member
+exports.getTeamRollup = async (req, res) => {
+  try {
+    const team = await getManagedTeam(req, res);
+    if (!team) return;
+
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    const rollup = await teamRollup.getRollup(team, { from, to });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        team: { id: team._id, name: team.name },
+        rollup
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
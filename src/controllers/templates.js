@@ -0,0 +1,341 @@
+const Template = require('../models/template');
+const Lead = require('../models/lead');
+const Sequence = require('../models/sequence');
+const templateRenderer = require('../services/templateRenderer');
+const access = require('../services/access');
+
+// Only the creator, managers and admins can change a template
+const canEdit = (template, user) => (
+  String(template.createdBy) === String(user.id) || ['admin', 'manager'].includes(user.role)
+);
+
+// Get all visible templates with filtering and pagination
+exports.getTemplates = async (req, res) => {
+  try {
+    const filter = { ...Template.visibleTo(req.user), archived: req.query.archived === 'true' };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.tags) filter.tags = { $all: req.query.tags.split(',') };
+    if (req.query.query) filter.$text = { $search: req.query.query };
+    
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const skip = (page - 1) * limit;
+    
+    const templates = await Template.find(filter)
+      .sort(req.query.sort ? req.query.sort.split(',').join(' ') : '-updatedAt')
+      .skip(skip)
+      .limit(limit)
+      .select('-versions')
+      .populate('createdBy', 'firstName lastName email');
+    
+    // Get total count for pagination
+    const totalCount = await Template.countDocuments(filter);
+    
+    res.status(200).json({
+      status: 'success',
+      results: templates.length,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      currentPage: page,
+      data: {
+        templates
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get a single template with its version history
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await Template.findOne({ _id: req.params.id, ...Template.visibleTo(req.user) })
+      .populate('createdBy', 'firstName lastName email')
+      .populate('versions.updatedBy', 'firstName lastName email');
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Create a new template
+exports.createTemplate = async (req, res) => {
+  try {
+    const { name, description, type, subject, body, tags, shared } = req.body;
+    
+    if (type === 'Email' && !subject) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email templates need a subject'
+      });
+    }
+    
+    const newTemplate = await Template.create({
+      name,
+      description,
+      type,
+      subject,
+      body,
+      tags,
+      shared,
+      createdBy: req.user.id
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        template: newTemplate
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Update a template; changing the subject or body saves a new version
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await Template.findOne({ _id: req.params.id, ...Template.visibleTo(req.user) });
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found'
+      });
+    }
+    
+    if (!canEdit(template, req.user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    
+    const copyChanged = (req.body.subject !== undefined && req.body.subject !== template.subject) ||
+      (req.body.body !== undefined && req.body.body !== template.body);
+    
+    if (copyChanged) {
+      template.versions.push({
+        version: template.version,
+        subject: template.subject,
+        body: template.body,
+        updatedBy: req.user.id,
+        updatedAt: new Date()
+      });
+      template.version += 1;
+    }
+    
+    const allowedFields = ['name', 'description', 'subject', 'body', 'tags', 'shared', 'archived'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+    
+    await template.save();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Restore the subject and body of an earlier version as a new version
+exports.restoreTemplateVersion = async (req, res) => {
+  try {
+    const template = await Template.findOne({ _id: req.params.id, ...Template.visibleTo(req.user) });
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found'
+      });
+    }
+    
+    if (!canEdit(template, req.user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    
+    const previous = template.versions.find(v => v.version === parseInt(req.params.version, 10));
+    if (!previous) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template version not found'
+      });
+    }
+    
+    template.versions.push({
+      version: template.version,
+      subject: template.subject,
+      body: template.body,
+      updatedBy: req.user.id,
+      updatedAt: new Date()
+    });
+    template.version += 1;
+    template.subject = previous.subject;
+    template.body = previous.body;
+    
+    await template.save();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Delete a template
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await Template.findOne({ _id: req.params.id, ...Template.visibleTo(req.user) });
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found'
+      });
+    }
+    
+    if (!canEdit(template, req.user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    
+    // Sequences still using the template would fail when they reach its step
+    const sequences = await Sequence.find({
+      $or: [{ 'steps.template': template._id }, { 'steps.variants.template': template._id }]
+    }).select('name status');
+    if (sequences.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This template is used by sequence steps; archive it or replace it in those steps first',
+        sequences
+      });
+    }
+    
+    await template.deleteOne();
+    
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Render template content against a lead and report variables with no value
+exports.previewTemplate = async (req, res) => {
+  try {
+    const { leadId, templateId, fromName, fromEmail } = req.body;
+    let { content } = req.body;
+    
+    if (!leadId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a lead ID'
+      });
+    }
+    
+    // Preview a saved template when no content is given
+    if (!content && templateId) {
+      const template = await Template.findOne({ _id: templateId, ...Template.visibleTo(req.user) });
+      if (!template) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Template not found'
+        });
+      }
+      content = { subject: template.subject, body: template.body };
+    }
+    
+    if (!content || typeof content !== 'object' || Object.keys(content).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a template ID or template content, e.g. { "subject": "...", "body": "..." }'
+      });
+    }
+    
+    const lead = await Lead.findOne(await access.leads(req.user, { _id: leadId }));
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lead not found'
+      });
+    }
+    
+    const context = templateRenderer.buildContext({
+      lead,
+      rep: req.user,
+      sender: { fromName, fromEmail }
+    });
+    
+    // Render every content field and collect missing variables across them
+    const rendered = {};
+    const missingVariables = new Set();
+    Object.entries(content).forEach(([field, text]) => {
+      const { output, missing } = templateRenderer.render(text, context);
+      rendered[field] = output;
+      missing.forEach(variable => missingVariables.add(variable));
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        rendered,
+        missingVariables: [...missingVariables]
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
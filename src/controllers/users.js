@@ -1,5 +1,12 @@
 const User = require('../models/user');
 const outreachService = require('../services/outreach');
+const capabilities = require('../services/capabilities');
+
+// Responses mask API keys, so a masked key sent back means keep the stored one
+const withoutMaskedKey = settings => {
+  const { apiKey, ...rest } = settings;
+  return apiKey && String(apiKey).startsWith('****') ? rest : settings;
+};
 
 // Get all users
 exports.getAllUsers = async (req, res) => {
@@ -169,13 +176,13 @@ exports.updateUserIntegrations = async (req, res) => {
       if (req.body.integrations.instantly) {
         user.integrations.instantly = {
           ...user.integrations.instantly,
-          ...req.body.integrations.instantly
+          ...withoutMaskedKey(req.body.integrations.instantly)
         };
         
         // Validate Instantly integration if enabled
         if (user.integrations.instantly.enabled && user.integrations.instantly.apiKey) {
-          const instantlyService = require('../services/instantly');
-          const service = new instantlyService(user.integrations.instantly.apiKey);
+          const InstantlyService = require('../services/InstantlyService');
+          const service = new InstantlyService(user.integrations.instantly.apiKey);
           const validation = await service.validateConnection();
           
           if (!validation.valid) {
@@ -191,7 +198,7 @@ exports.updateUserIntegrations = async (req, res) => {
       if (req.body.integrations.salesfinity) {
         user.integrations.salesfinity = {
           ...user.integrations.salesfinity,
-          ...req.body.integrations.salesfinity
+          ...withoutMaskedKey(req.body.integrations.salesfinity)
         };
         
         // Validate Salesfinity integration if enabled
@@ -245,6 +252,15 @@ exports.updateUserIntegrations = async (req, res) => {
     
     await user.save();
     
+    // Probe what the newly connected accounts can do
+    for (const integration of capabilities.integrations) {
+      const owner = req.body.integrations?.[integration.toLowerCase()] && capabilities.getOwner(user, integration);
+      if (owner) {
+        await capabilities.probe(integration, outreachService.getService(owner, integration), owner)
+          .catch(error => console.error(`${integration} capability probe failed:`, error.message));
+      }
+    }
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -0,0 +1,74 @@
+const webhookService = require('../services/webhooks');
+
+// Check the shared secret sent with a webhook; sends the error response and returns false when it fails
+const checkSecret = (req, res, envName, integration) => {
+  const expected = process.env[envName];
+  if (!expected) {
+    res.status(503).json({
+      status: 'error',
+      message: `${integration} webhooks are not configured`
+    });
+    return false;
+  }
+
+  // Custom headers are preferred; the query string works for tools that cannot set them
+  const provided = req.get('x-webhook-secret') || req.query.secret;
+  if (!webhookService.verifySecret(provided, expected)) {
+    res.status(401).json({
+      status: 'error',
+      message: 'Invalid webhook secret'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Receive Instantly email events
+exports.instantlyWebhook = async (req, res) => {
+  try {
+    if (!checkSecret(req, res, 'INSTANTLY_WEBHOOK_SECRET', 'Instantly')) return;
+
+    const result = await webhookService.handleInstantlyEvent(req.body || {});
+
+    // Unmatched and unknown events are acknowledged so Instantly does not retry them
+    res.status(200).json({
+      status: 'success',
+      matched: result.matched,
+      ignored: Boolean(result.ignored),
+      data: {
+        outreachId: result.outreach?._id
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Receive Salesfinity call-completed events
+exports.salesfinityWebhook = async (req, res) => {
+  try {
+    if (!checkSecret(req, res, 'SALESFINITY_WEBHOOK_SECRET', 'Salesfinity')) return;
+
+    const result = await webhookService.handleSalesfinityEvent(req.body || {});
+
+    // Calls to numbers we have no lead for are acknowledged so Salesfinity does not retry them
+    res.status(result.created ? 201 : 200).json({
+      status: 'success',
+      matched: result.matched,
+      created: Boolean(result.created),
+      ignored: Boolean(result.ignored),
+      data: {
+        outreachId: result.outreach?._id
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -15,6 +15,34 @@ const outreachRoutes = require('./routes/outreach');
 const userRoutes = require('./routes/users');
 const authRoutes = require('./routes/auth');
 const instantlyRoutes = require('./routes/instantly');
+const sequenceRoutes = require('./routes/sequences');
+const enrollmentRoutes = require('./routes/enrollments');
+const templateRoutes = require('./routes/templates');
+const webhookRoutes = require('./routes/webhooks');
+const integrationRoutes = require('./routes/integrations');
+const teamRoutes = require('./routes/teams');
+const assignmentRuleRoutes = require('./routes/assignmentRules');
+
+// Each router authenticates its own requests
+const authController = require('./controllers/auth');
+
+// Import background workers
+const sequenceEngine = require('./services/sequenceEngine');
+const syncWorker = require('./services/syncWorker');
+const callImporter = require('./services/callImporter');
+const capabilities = require('./services/capabilities');
+const leadImporter = require('./services/leadImporter');
+
+// Check auth settings before accepting any requests
+try {
+  const authMode = authController.assertAuthConfig();
+  if (authMode === 'dev') {
+    console.warn('AUTH_MODE=dev: requests without a token are treated as an admin test user');
+  }
+} catch (error) {
+  console.error('Invalid auth configuration:', error.message);
+  process.exit(1);
+}
 
 // Initialize express app
 const app = express();
@@ -27,20 +55,6 @@ app.use(cors());
 app.use(helmet());
 app.use(morgan('dev'));
 
-// Skip auth for testing - NOT for production!
-app.use((req, res, next) => {
-  // Bypass authentication for testing
-  req.user = { 
-    _id: 'test-user-id',
-    email: process.env.TEST_USER_EMAIL || 'admin@example.com',
-    firstName: 'Test',
-    lastName: 'User',
-    role: 'admin',
-    integrations: {}
-  };
-  next();
-});
-
 // API routes
 app.use('/api/leads', leadRoutes);
 app.use('/api/campaigns', campaignRoutes);
@@ -48,6 +62,13 @@ app.use('/api/outreach', outreachRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/instantly', instantlyRoutes);
+app.use('/api/sequences', sequenceRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/integrations', integrationRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/assignment-rules', assignmentRuleRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -103,6 +124,29 @@ mongoose
   .then(() => {
     console.log('Connected to MongoDB');
     startServer();
+    
+    // Find out what the server-wide integration keys can do
+    capabilities.probeServerKeys().catch(error => {
+      console.error('Integration capability probe failed:', error.message);
+    });
+    
+    // Imports held their rows in memory, so ones cut off by a restart cannot resume
+    leadImporter.failInterrupted().catch(error => {
+      console.error('Could not close interrupted lead imports:', error.message);
+    });
+    
+    // Sequence steps need the database, so only run them once connected
+    if (process.env.SEQUENCE_ENGINE_ENABLED !== 'false') {
+      sequenceEngine.start(parseInt(process.env.SEQUENCE_ENGINE_INTERVAL_MS, 10) || 60000);
+    }
+
+    if (process.env.OUTREACH_SYNC_ENABLED !== 'false') {
+      syncWorker.start(parseInt(process.env.OUTREACH_SYNC_INTERVAL_MS, 10) || 300000);
+    }
+
+    if (process.env.SALESFINITY_CALL_IMPORT_ENABLED === 'true') {
+      callImporter.start(parseInt(process.env.SALESFINITY_CALL_IMPORT_INTERVAL_MS, 10) || 3600000);
+    }
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Routes new leads that match its conditions to the reps of a team
+const assignmentRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    // Rules are tried from the lowest priority up; the first match assigns the lead
+    priority: {
+      type: Number,
+      default: 100
+    },
+    // Each non-empty list must contain the lead's value; an empty list matches any lead
+    conditions: {
+      industries: [String],
+      companySizes: [String],
+      // Matched anywhere in the lead's location, e.g. "California" matches "San Diego, California"
+      locations: [String],
+      sources: [String],
+      // The lead needs at least one of these tags
+      tags: [String]
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: [true, 'Rule team is required']
+    },
+    // How leads are spread across the team's members
+    strategy: {
+      type: String,
+      enum: ['RoundRobin', 'Weighted', 'Capacity'],
+      default: 'RoundRobin'
+    },
+    // Weighted: share of leads per member; members not listed get a weight of 1
+    weights: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      weight: {
+        type: Number,
+        min: 0,
+        default: 1
+      }
+    }],
+    // Capacity: most open leads a member can hold; when everyone is full the lead goes to the team
+    maxOpenLeads: {
+      type: Number,
+      min: 1,
+      default: 50
+    },
+    // Round-robin position, advanced atomically per assignment
+    assignedCount: {
+      type: Number,
+      default: 0
+    },
+    lastAssignedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+assignmentRuleSchema.index({ active: 1, priority: 1 });
+
+// Whether a lead meets every condition of the rule
+assignmentRuleSchema.methods.matches = function(lead) {
+  const { industries, companySizes, locations, sources, tags } = this.conditions || {};
+  const lower = value => String(value || '').toLowerCase();
+  const isSet = list => Array.isArray(list) && list.length > 0;
+
+  if (isSet(industries) && !industries.some(industry => lower(industry) === lower(lead.industry))) return false;
+  if (isSet(companySizes) && !companySizes.includes(lead.companySize)) return false;
+  if (isSet(locations) && !(lead.location && locations.some(location => lower(lead.location).includes(lower(location))))) return false;
+  if (isSet(sources) && !sources.includes(lead.source)) return false;
+  if (isSet(tags) && !tags.some(tag => (lead.tags || []).map(lower).includes(lower(tag)))) return false;
+
+  return true;
+};
+
+const AssignmentRule = mongoose.model('AssignmentRule', assignmentRuleSchema);
+
+module.exports = AssignmentRule;
@@ -90,6 +90,78 @@ const campaignSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     }],
+    // Whole teams assigned to this campaign, on top of individual members
+    teams: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team'
+    }],
+    // Instantly campaigns this campaign sends through, one per Instantly account
+    instantly: {
+      links: [{
+        _id: false,
+        // Owner of the Instantly API key; empty for the server-wide key
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null
+        },
+        campaignId: {
+          type: String,
+          required: true
+        },
+        // Name on Instantly when it was linked
+        name: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      // Counts and per-lead results from the most recent bulk lead push
+      lastPush: {
+        pushedAt: Date,
+        total: Number,
+        added: Number,
+        unconfirmed: Number,
+        duplicate: Number,
+        invalid_email: Number,
+        blocked: Number,
+        failed: Number,
+        results: [{
+          _id: false,
+          lead: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Lead'
+          },
+          email: String,
+          result: {
+            type: String,
+            enum: ['added', 'unconfirmed', 'duplicate', 'invalid_email', 'blocked', 'failed']
+          },
+          instantlyId: String,
+          reason: String
+        }]
+      }
+    },
+    // Salesfinity contact list the campaign's leads are dialed from
+    salesfinity: {
+      contactListId: String,
+      lastSyncedAt: Date,
+      // What was last pushed for each lead, to spot changes on the next sync
+      contacts: [{
+        _id: false,
+        lead: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Lead'
+        },
+        fingerprint: String
+      }]
+    },
+    // A/B test variant declared the winner across the campaign's outreach
+    winningVariant: {
+      name: String,
+      metric: String,
+      declaredAt: Date
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -99,6 +171,25 @@ const campaignSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Index for finding the campaign linked to an Instantly campaign
+campaignSchema.index({ 'instantly.links.campaignId': 1 });
+
+// Instantly link for an account owner (null for the server-wide key)
+campaignSchema.methods.getInstantlyLink = function(userId = null) {
+  return this.instantly.links.find(link => String(link.user || null) === String(userId || null));
+};
+
+// Link an Instantly campaign, replacing the owner's existing link
+campaignSchema.methods.linkInstantlyCampaign = function(userId, campaignId, name) {
+  this.unlinkInstantlyCampaign(userId);
+  this.instantly.links.push({ user: userId || null, campaignId, name, linkedAt: new Date() });
+};
+
+// Remove the owner's Instantly link
+campaignSchema.methods.unlinkInstantlyCampaign = function(userId = null) {
+  this.instantly.links = this.instantly.links.filter(link => String(link.user || null) !== String(userId || null));
+};
+
 const Campaign = mongoose.model('Campaign', campaignSchema);
 
 module.exports = Campaign; 
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const importCursorSchema = new mongoose.Schema(
+  {
+    integration: {
+      type: String,
+      enum: ['Salesfinity', 'Instantly', 'LinkedIn'],
+      required: true
+    },
+    // What is being imported, e.g. callLogs
+    resource: {
+      type: String,
+      required: true
+    },
+    // User whose integration credentials are used; empty for the server-wide key
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Newest record imported so far; later runs only fetch records after it
+    lastRecordAt: {
+      type: Date
+    },
+    lastRecordId: {
+      type: String
+    },
+    status: {
+      type: String,
+      enum: ['Idle', 'Running', 'Failed'],
+      default: 'Idle'
+    },
+    lastRunAt: {
+      type: Date
+    },
+    lastError: {
+      type: String
+    },
+    // Counts from the most recent run
+    lastRunStats: {
+      fetched: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unmatched: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    }
+  },
+  { timestamps: true }
+);
+
+// One cursor per integration resource and user
+importCursorSchema.index({ integration: 1, resource: 1, user: 1 }, { unique: true });
+
+const ImportCursor = mongoose.model('ImportCursor', importCursorSchema);
+
+module.exports = ImportCursor;
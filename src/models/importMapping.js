@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A saved column mapping for lead file imports, e.g. for a list vendor's export format
+const importMappingSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Mapping name is required'],
+      unique: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    // File column -> lead field, e.g. E-mail -> email, Employees -> companySize, Budget -> customFields.budget.
+    // Kept as pairs because column names may contain dots.
+    columns: [{
+      _id: false,
+      column: {
+        type: String,
+        required: true
+      },
+      field: {
+        type: String,
+        required: true
+      }
+    }],
+    // Values for rows that leave a field empty, e.g. { source: "Event" }
+    defaults: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // What to do with rows whose email already belongs to a lead
+    duplicates: {
+      type: String,
+      enum: ['Skip', 'Update'],
+      default: 'Skip'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+const ImportMapping = mongoose.model('ImportMapping', importMappingSchema);
+
+module.exports = ImportMapping;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const capabilitySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true
+    },
+    // null until probed or used
+    available: {
+      type: Boolean,
+      default: null
+    },
+    error: String,
+    checkedAt: Date
+  },
+  { _id: false }
+);
+
+// What an integration account can do, as found by probing it
+const integrationSchema = new mongoose.Schema(
+  {
+    integration: {
+      type: String,
+      enum: ['Instantly', 'Salesfinity', 'LinkedIn'],
+      required: true
+    },
+    // User whose credentials were probed; empty for the server-wide key
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    tier: {
+      type: String,
+      enum: ['Full', 'Limited', 'Unknown'],
+      default: 'Unknown'
+    },
+    capabilities: [capabilitySchema],
+    // When the account was last probed, and why that failed if it did
+    probedAt: Date,
+    probeError: String,
+    // Outcome of connection checks
+    health: {
+      status: {
+        type: String,
+        enum: ['Healthy', 'Failing', 'Unknown'],
+        default: 'Unknown'
+      },
+      lastCheckedAt: Date,
+      lastSuccessAt: Date,
+      lastErrorAt: Date,
+      lastError: String,
+      consecutiveFailures: {
+        type: Number,
+        default: 0
+      }
+    }
+  },
+  { timestamps: true }
+);
+
+// One record per integration account
+integrationSchema.index({ integration: 1, user: 1 }, { unique: true });
+
+// A capability's availability: true, false, or null when unknown
+integrationSchema.methods.isAvailable = function(name) {
+  const capability = this.capabilities.find(c => c.name === name);
+  return capability ? capability.available : null;
+};
+
+// Record the outcome of a connection check
+integrationSchema.methods.recordCheck = function(ok, error) {
+  const now = new Date();
+  this.health.lastCheckedAt = now;
+
+  if (ok) {
+    this.health.status = 'Healthy';
+    this.health.lastSuccessAt = now;
+    this.health.consecutiveFailures = 0;
+  } else {
+    this.health.status = 'Failing';
+    this.health.lastErrorAt = now;
+    this.health.lastError = error;
+    this.health.consecutiveFailures += 1;
+  }
+};
+
+const Integration = mongoose.model('Integration', integrationSchema);
+
+module.exports = Integration;
@@ -23,6 +23,10 @@ const leadSchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    // phone in E.164 form, kept in step by the hooks below, for matching calls
+    phoneE164: {
+      type: String
+    },
     company: {
       type: String,
       trim: true
@@ -43,6 +47,11 @@ const leadSchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    // Free text such as "Austin, Texas" or "DACH"
+    location: {
+      type: String,
+      trim: true
+    },
     companySize: {
       type: String,
       enum: ['1-10', '11-50', '51-200', '201-500', '501-1000', '1001+', 'Unknown'],
@@ -66,6 +75,11 @@ const leadSchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    // Free-form fields available to message templates as {{customFields.name}}
+    customFields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
     lastContactedDate: {
       type: Date
     },
@@ -73,6 +87,61 @@ const leadSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Team the lead is assigned to as a whole, e.g. before a rep picks it up
+    assignedTeam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team'
+    },
+    // Who owned the lead when; the entry without unassignedAt is the current owner
+    assignmentHistory: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+      },
+      assignedAt: {
+        type: Date,
+        default: Date.now
+      },
+      unassignedAt: Date,
+      // Empty when an assignment rule routed a new lead
+      assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssignmentRule'
+      },
+      reason: {
+        type: String,
+        enum: ['Rule', 'Manual', 'Bulk Reassign'],
+        default: 'Manual'
+      },
+      note: String
+    }],
+    // Duplicate leads merged into this one; their emails still find this lead
+    mergedFrom: [{
+      _id: false,
+      lead: mongoose.Schema.Types.ObjectId,
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true
+      },
+      mergedAt: {
+        type: Date,
+        default: Date.now
+      },
+      mergedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -95,6 +164,87 @@ leadSchema.index({
   notes: 'text'
 });
 
+// Index for matching calls to leads by phone number
+leadSchema.index({ phoneE164: 1 });
+
+// Index for counting each rep's open leads
+leadSchema.index({ assignedTo: 1, status: 1 });
+
+// Index for finding a lead by the email of a duplicate merged into it
+leadSchema.index({ 'mergedFrom.email': 1 });
+
+// Normalize a phone number to E.164 (+15551234567); numbers without a country code get the default one
+leadSchema.statics.normalizePhone = function(phone, defaultCountryCode = process.env.DEFAULT_PHONE_COUNTRY_CODE || '1') {
+  if (!phone) return null;
+
+  // Drop extensions such as "x123" or "ext. 123"
+  const number = String(phone).trim().split(/\s*(?:x|ext\.?|extension)\s*\d+$/i)[0];
+  let digits = number.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (number.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (defaultCountryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+    // North American number written with its country code
+  } else {
+    digits = defaultCountryCode + digits.replace(/^0+/, '');
+  }
+
+  // E.164 allows at most 15 digits
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+};
+
+// Find a lead by email, including the emails of duplicates merged into it
+leadSchema.statics.findByEmail = async function(email) {
+  if (!email) return null;
+  const address = String(email).toLowerCase().trim();
+  return (await this.findOne({ email: address })) || this.findOne({ 'mergedFrom.email': address });
+};
+
+// Statuses of leads still being worked, which count against a rep's capacity
+leadSchema.statics.openStatuses = ['New', 'Contacted', 'Qualified', 'Proposal'];
+
+// Hand the lead to a user and/or team, closing the current history entry
+leadSchema.methods.assign = function({ user = null, team = null, assignedBy, rule, reason = 'Manual', note } = {}) {
+  const now = new Date();
+  const current = this.assignmentHistory.find(entry => !entry.unassignedAt);
+  if (current) current.unassignedAt = now;
+
+  this.assignedTo = user || undefined;
+  this.assignedTeam = team || undefined;
+  if (user || team) {
+    this.assignmentHistory.push({ user, team, assignedAt: now, assignedBy, rule, reason, note });
+  }
+  return this;
+};
+
+leadSchema.pre('save', function(next) {
+  if (this.isModified('phone')) {
+    this.phoneE164 = this.constructor.normalizePhone(this.phone);
+  }
+  next();
+});
+
+// insertMany skips the save hook, so bulk and file imports are normalized here
+leadSchema.pre('insertMany', function(next, docs) {
+  docs.forEach(doc => {
+    if (doc.phone) doc.phoneE164 = this.normalizePhone(doc.phone);
+  });
+  next();
+});
+
+leadSchema.pre(['findOneAndUpdate', 'updateOne'], function(next) {
+  const update = this.getUpdate() || {};
+  const target = update.$set && 'phone' in update.$set ? update.$set : update;
+
+  if ('phone' in target) {
+    target.phoneE164 = mongoose.model('Lead').normalizePhone(target.phone);
+  }
+  next();
+});
+
 const Lead = mongoose.model('Lead', leadSchema);
 
 module.exports = Lead; 
\ No newline at end of file
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// One lead file import, run as a background job for large files
+const leadImportSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      required: true
+    },
+    fileType: {
+      type: String,
+      enum: ['csv', 'xlsx'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['Queued', 'Running', 'Completed', 'Failed'],
+      default: 'Queued'
+    },
+    // A dry run validates and previews the rows without writing any leads
+    dryRun: {
+      type: Boolean,
+      default: false
+    },
+    mapping: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportMapping'
+    },
+    // Column -> lead field actually used, and columns that were left out
+    columns: [{
+      _id: false,
+      column: String,
+      field: String
+    }],
+    unmappedColumns: [String],
+    defaults: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    duplicates: {
+      type: String,
+      enum: ['Skip', 'Update'],
+      default: 'Skip'
+    },
+    totalRows: {
+      type: Number,
+      default: 0
+    },
+    processedRows: {
+      type: Number,
+      default: 0
+    },
+    stats: {
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    },
+    // What happens to each row; kept for dry runs only, up to a limit
+    preview: [{
+      _id: false,
+      row: Number,
+      action: {
+        type: String,
+        enum: ['Create', 'Update', 'Skip', 'Fail']
+      },
+      email: String,
+      reason: String
+    }],
+    // Row problems, up to a limit; the report download lists them
+    rowErrors: [{
+      _id: false,
+      row: Number,
+      field: String,
+      value: String,
+      message: String
+    }],
+    // Row problems beyond the stored ones
+    droppedErrors: {
+      type: Number,
+      default: 0
+    },
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+leadImportSchema.index({ createdBy: 1, createdAt: -1 });
+
+const LeadImport = mongoose.model('LeadImport', leadImportSchema);
+
+module.exports = LeadImport;
@@ -15,6 +15,14 @@ const outreachSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Sequence'
     },
+    // Saved template the copy was rendered from
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template'
+    },
+    // A/B test variant the lead was assigned
+    variant: String,
+    variantId: mongoose.Schema.Types.ObjectId,
     type: {
       type: String,
       enum: ['Email', 'Call', 'LinkedIn', 'Other'],
@@ -27,7 +35,7 @@ const outreachSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['Scheduled', 'Sent', 'Delivered', 'Opened', 'Clicked', 'Replied', 'Bounced', 'Failed', 'Completed'],
+      enum: ['Scheduled', 'Sent', 'Delivered', 'Opened', 'Clicked', 'Replied', 'Bounced', 'Failed', 'Completed', 'Cancelled'],
       default: 'Scheduled'
     },
     scheduledAt: {
@@ -54,6 +62,9 @@ const outreachSchema = new mongoose.Schema(
       duration: Number, // in seconds
       notes: String,
       recordingUrl: String,
+      transcription: String,
+      // Disposition name as set in the dialer
+      disposition: String,
       dialedNumber: String,
       outcome: {
         type: String,
@@ -106,9 +117,21 @@ const outreachSchema = new mongoose.Schema(
     // Integration-specific data
     externalIds: {
       instantlyId: String,
+      instantlyCampaignId: String,
       salesfinityId: String,
       linkedinActivityId: String
     },
+    // Background status sync bookkeeping
+    sync: {
+      lastSyncedAt: Date,
+      nextSyncAt: Date,
+      // Consecutive failed syncs
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastError: String
+    },
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -121,7 +144,10 @@ const outreachSchema = new mongoose.Schema(
 // Index for efficient querying
 outreachSchema.index({ lead: 1, campaign: 1, type: 1 });
 outreachSchema.index({ status: 1, scheduledAt: 1 });
+outreachSchema.index({ channel: 1, status: 1, 'sync.nextSyncAt': 1 });
 outreachSchema.index({ performedBy: 1 });
+outreachSchema.index({ sequence: 1, variantId: 1 });
+outreachSchema.index({ campaign: 1, variant: 1 });
 
 const Outreach = mongoose.model('Outreach', outreachSchema);
 
@@ -1,5 +1,66 @@
 const mongoose = require('mongoose');
 
+// A check against the outreach sent by an earlier step
+const branchConditionSchema = new mongoose.Schema({
+  // Order of the step whose outreach is inspected
+  step: {
+    type: Number,
+    required: true
+  },
+  field: {
+    type: String,
+    enum: ['status', 'email.openedAt', 'email.clickedAt', 'email.repliedAt', 'linkedin.connectionStatus', 'call.outcome', 'response.received'],
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: ['exists', 'notExists', 'equals', 'notEquals'],
+    default: 'exists'
+  },
+  // Compared against the field for equals / notEquals
+  value: String
+}, { _id: false });
+
+const branchSchema = new mongoose.Schema({
+  name: String,
+  // All conditions must hold for the branch to be taken
+  conditions: [branchConditionSchema],
+  // Order of the step to go to
+  nextStep: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// An alternative version of a step's copy for A/B testing
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Relative share of leads that receive this variant
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Saved template to take the variant's copy from
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template'
+  },
+  // Overrides the step's copy
+  content: {
+    email: {
+      subject: String,
+      body: String
+    },
+    linkedin: {
+      message: String
+    }
+  }
+});
+
 const stepSchema = new mongoose.Schema({
   order: {
     type: Number,
@@ -42,6 +103,11 @@ const stepSchema = new mongoose.Schema({
       default: 17 // 5 PM
     }
   },
+  // Saved template to take the step's copy from, in place of content
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template'
+  },
   // Content depends on the type of step
   content: {
     // For email steps
@@ -64,7 +130,9 @@ const stepSchema = new mongoose.Schema({
         type: String,
         enum: ['Connection Request', 'Direct Message', 'InMail', 'Comment', 'Post']
       },
-      message: String
+      message: String,
+      // Phantombuster agent that performs the action
+      agentId: String
     },
     // For task steps
     task: {
@@ -91,7 +159,20 @@ const stepSchema = new mongoose.Schema({
       default: false
     },
     customCondition: String
-  }
+  },
+  // Branches are checked in order after branchDelay; the first match picks the next step
+  branches: [branchSchema],
+  // Hours to wait after this step before evaluating its branches
+  branchDelay: {
+    type: Number,
+    default: 24
+  },
+  // Step to run next when no branch matches (defaults to the next step by order)
+  defaultNextStep: Number,
+  // A/B variants of the step's copy (Email and LinkedIn steps only)
+  variants: [variantSchema],
+  // Once declared, every lead receives the winning variant
+  winningVariant: mongoose.Schema.Types.ObjectId
 });
 
 const sequenceSchema = new mongoose.Schema(
@@ -144,6 +225,7 @@ const sequenceSchema = new mongoose.Schema(
         type: Number,
         default: 0
       },
+      // In hours, from enrollment to completion
       averageTimeToComplete: {
         type: Number,
         default: 0
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const enrollmentSchema = new mongoose.Schema(
+  {
+    sequence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sequence',
+      required: true
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign'
+    },
+    status: {
+      type: String,
+      enum: ['Active', 'Paused', 'Completed', 'Exited', 'Failed'],
+      default: 'Active'
+    },
+    // Order of the step that will run next
+    currentStep: {
+      type: Number,
+      required: true
+    },
+    nextRunAt: {
+      type: Date
+    },
+    lastRunAt: {
+      type: Date
+    },
+    completedAt: {
+      type: Date
+    },
+    pausedAt: {
+      type: Date
+    },
+    exitedAt: {
+      type: Date
+    },
+    // Why the lead left the sequence early
+    exitReason: {
+      type: String,
+      enum: ['Replied', 'Bounced', 'Meeting Scheduled', 'Manually Removed']
+    },
+    // Order of the step whose branches are waiting to be evaluated
+    awaitingBranchFrom: {
+      type: Number
+    },
+    // Failed attempts for the current step
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String
+    },
+    // One entry per executed step
+    history: [{
+      step: Number,
+      result: {
+        type: String,
+        enum: ['Dispatched', 'Skipped', 'Branched', 'Failed']
+      },
+      outreach: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Outreach'
+      },
+      note: String,
+      executedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    enrolledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+// A lead can only be enrolled once per sequence
+enrollmentSchema.index({ sequence: 1, lead: 1 }, { unique: true });
+
+// Index for listing a lead's enrollments
+enrollmentSchema.index({ lead: 1, status: 1 });
+
+// Index for picking up due enrollments
+enrollmentSchema.index({ status: 1, nextRunAt: 1 });
+
+const SequenceEnrollment = mongoose.model('SequenceEnrollment', enrollmentSchema);
+
+module.exports = SequenceEnrollment;
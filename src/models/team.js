@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A sales pod: a manager and the reps who report to them
+const teamSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Team name is required'],
+      unique: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    manager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Team manager is required']
+    },
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Regions, segments or account lists the team covers
+    territories: {
+      type: [String],
+      default: []
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  { timestamps: true }
+);
+
+teamSchema.index({ manager: 1 });
+teamSchema.index({ members: 1 });
+
+// Everyone on the team, manager first
+teamSchema.methods.getUserIds = function() {
+  const ids = [this.manager, ...this.members].filter(Boolean);
+  return ids.filter((id, index) => ids.findIndex(other => String(other) === String(id)) === index);
+};
+
+// Whether a user manages the team
+teamSchema.methods.isManagedBy = function(userId) {
+  return String(this.manager) === String(userId);
+};
+
+const Team = mongoose.model('Team', teamSchema);
+
+module.exports = Team;
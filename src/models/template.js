@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const templateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['Email', 'LinkedIn Connection', 'LinkedIn Message', 'Call Script'],
+      required: [true, 'Template type is required']
+    },
+    // Only used by email templates
+    subject: {
+      type: String,
+      trim: true
+    },
+    // Email body, LinkedIn message or call script
+    body: {
+      type: String,
+      required: [true, 'Template body is required']
+    },
+    tags: {
+      type: [String],
+      default: []
+    },
+    // Shared templates are visible to the whole team, others only to their creator
+    shared: {
+      type: Boolean,
+      default: false
+    },
+    archived: {
+      type: Boolean,
+      default: false
+    },
+    version: {
+      type: Number,
+      default: 1
+    },
+    // Previous versions of the subject and body
+    versions: [{
+      version: Number,
+      subject: String,
+      body: String,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      updatedAt: Date
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+templateSchema.index({ type: 1, tags: 1 });
+templateSchema.index({ name: 'text', description: 'text', tags: 'text' });
+
+// Templates a user can see: shared ones plus their own
+templateSchema.statics.visibleTo = function(user) {
+  return { $or: [{ shared: true }, { createdBy: user.id }] };
+};
+
+// Step types each template type can be used for
+templateSchema.statics.stepTypes = {
+  'Email': 'Email',
+  'LinkedIn Connection': 'LinkedIn',
+  'LinkedIn Message': 'LinkedIn',
+  'Call Script': 'Call'
+};
+
+// Convert the template into sequence step / follow-up content
+templateSchema.methods.toContent = function() {
+  switch (this.type) {
+    case 'Email':
+      return { email: { subject: this.subject, body: this.body } };
+    case 'LinkedIn Connection':
+      return { linkedin: { messageType: 'Connection Request', message: this.body } };
+    case 'LinkedIn Message':
+      return { linkedin: { messageType: 'Direct Message', message: this.body } };
+    case 'Call Script':
+      return { call: { script: this.body } };
+    default:
+      return {};
+  }
+};
+
+const Template = mongoose.model('Template', templateSchema);
+
+module.exports = Template;
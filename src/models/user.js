@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const encryption = require('../services/encryption');
+
+// API keys are encrypted at rest and decrypted when read
+const encryptedKey = {
+  type: String,
+  set: value => encryption.encrypt(value),
+  get: value => encryption.decryptOrNull(value)
+};
 
 const userSchema = new mongoose.Schema(
   {
@@ -45,7 +53,7 @@ const userSchema = new mongoose.Schema(
     // Track API credentials for each outreach platform
     integrations: {
       instantly: {
-        apiKey: String,
+        apiKey: encryptedKey,
         accountEmail: String,
         enabled: {
           type: Boolean,
@@ -53,7 +61,7 @@ const userSchema = new mongoose.Schema(
         }
       },
       salesfinity: {
-        apiKey: String,
+        apiKey: encryptedKey,
         accountId: String,
         enabled: {
           type: Boolean,
@@ -109,6 +117,18 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
+// Responses only show the last 4 characters of each API key
+userSchema.set('toJSON', {
+  transform(doc, ret) {
+    ['instantly', 'salesfinity'].forEach(integration => {
+      if (ret.integrations?.[integration]?.apiKey) {
+        ret.integrations[integration].apiKey = encryption.mask(doc.integrations[integration].apiKey);
+      }
+    });
+    return ret;
+  }
+});
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const assignmentRulesController = require('../controllers/assignmentRules');
+const authController = require('../controllers/auth');
+
+const router = express.Router();
+
+// Protect all routes; only admins and managers route leads
+router.use(authController.protect);
+router.use(authController.restrictTo('admin', 'manager'));
+
+// Show which rule a lead would match
+router.post('/preview', assignmentRulesController.previewAssignment);
+
+// Assignment rule CRUD operations
+router.route('/')
+  .get(assignmentRulesController.getAssignmentRules)
+  .post(assignmentRulesController.createAssignmentRule);
+
+router.route('/:id')
+  .get(assignmentRulesController.getAssignmentRule)
+  .patch(assignmentRulesController.updateAssignmentRule)
+  .delete(assignmentRulesController.deleteAssignmentRule);
+
+module.exports = router;
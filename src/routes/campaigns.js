@@ -12,6 +12,9 @@ router.route('/')
   .get(campaignsController.getCampaigns)
   .post(campaignsController.createCampaign);
 
+// Instantly campaigns with no counterpart on either side
+router.get('/instantly/reconcile', campaignsController.reconcileInstantlyCampaigns);
+
 router.route('/:id')
   .get(campaignsController.getCampaign)
   .patch(campaignsController.updateCampaign)
@@ -26,4 +29,22 @@ router.delete('/:id/leads', campaignsController.removeLeadsFromCampaign);
 router.post('/:id/team', campaignsController.addTeamMembersToCampaign);
 router.delete('/:id/team', campaignsController.removeTeamMembersFromCampaign);
 
+// Campaign sequence management
+router.post('/:id/sequences', campaignsController.addSequencesToCampaign);
+router.delete('/:id/sequences', campaignsController.removeSequencesFromCampaign);
+
+// Campaign Salesfinity contact list
+router.post('/:id/salesfinity/sync', campaignsController.syncSalesfinityList);
+router.delete('/:id/salesfinity', campaignsController.unlinkSalesfinityList);
+
+// Campaign Instantly link
+router.post('/:id/instantly/link', campaignsController.linkInstantlyCampaign);
+router.delete('/:id/instantly/link', campaignsController.unlinkInstantlyCampaign);
+router.post('/:id/instantly/create', campaignsController.createInstantlyCampaign);
+router.post('/:id/push/instantly', campaignsController.pushLeadsToInstantly);
+
+// Campaign A/B test results
+router.get('/:id/variants/stats', campaignsController.getCampaignVariantStats);
+router.post('/:id/variants/winner', campaignsController.declareCampaignWinner);
+
 module.exports = router; 
\ No newline at end of file
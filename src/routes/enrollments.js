@@ -0,0 +1,17 @@
+const express = require('express');
+const enrollmentsController = require('../controllers/enrollments');
+const authController = require('../controllers/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authController.protect);
+
+router.get('/:id', enrollmentsController.getEnrollment);
+
+// Enrollment state changes
+router.post('/:id/pause', enrollmentsController.pauseEnrollment);
+router.post('/:id/resume', enrollmentsController.resumeEnrollment);
+router.post('/:id/remove', enrollmentsController.removeEnrollment);
+
+module.exports = router;
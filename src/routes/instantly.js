@@ -3,8 +3,8 @@ const router = express.Router();
 const instantlyController = require('../controllers/instantly');
 const authController = require('../controllers/auth');
 
-// Temporarily disable authentication for testing
-// router.use(authController.protect);
+// Protect all routes
+router.use(authController.protect);
 
 /**
  * @route   GET /api/instantly/info
@@ -0,0 +1,23 @@
+const express = require('express');
+const integrationsController = require('../controllers/integrations');
+const authController = require('../controllers/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authController.protect);
+
+// Connection status and health of each integration
+router.get('/', integrationsController.getIntegrations);
+
+// What each integration account can do
+router.get('/capabilities', integrationsController.getCapabilities);
+router.post('/capabilities/refresh', integrationsController.refreshCapabilities);
+
+// Manage the user's own integration accounts
+router.post('/:integration/connect', integrationsController.connectIntegration);
+router.post('/:integration/test', integrationsController.testIntegration);
+router.post('/:integration/disable', integrationsController.disableIntegration);
+router.post('/:integration/rotate-key', integrationsController.rotateIntegrationKey);
+
+module.exports = router;
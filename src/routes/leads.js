@@ -1,5 +1,6 @@
 const express = require('express');
 const leadsController = require('../controllers/leads');
+const leadImportsController = require('../controllers/leadImports');
 const authController = require('../controllers/auth');
 
 const router = express.Router();
@@ -10,6 +11,18 @@ router.use(authController.protect);
 // Routes that all users can access
 router.get('/', leadsController.getLeads);
 router.get('/search', leadsController.searchLeads);
+router.get('/duplicates', leadsController.getDuplicates);
+
+// File imports and their saved column mappings (admins and managers)
+const canImport = authController.restrictTo('admin', 'manager');
+router.get('/imports', canImport, leadImportsController.getImports);
+router.post('/imports', canImport, leadImportsController.uploadImportFile, leadImportsController.createImport);
+router.get('/imports/mappings', canImport, leadImportsController.getImportMappings);
+router.post('/imports/mappings', canImport, leadImportsController.createImportMapping);
+router.delete('/imports/mappings/:id', canImport, leadImportsController.deleteImportMapping);
+router.get('/imports/:id', canImport, leadImportsController.getImport);
+router.get('/imports/:id/errors', canImport, leadImportsController.downloadImportErrors);
+
 router.get('/:id', leadsController.getLead);
 router.post('/', leadsController.createLead);
 router.patch('/:id', leadsController.updateLead);
@@ -18,5 +31,7 @@ router.patch('/:id', leadsController.updateLead);
 router.use(authController.restrictTo('admin', 'manager'));
 router.delete('/:id', leadsController.deleteLead);
 router.post('/bulk-import', leadsController.bulkImportLeads);
+router.post('/reassign', leadsController.reassignLeads);
+router.post('/merge', leadsController.mergeLeads);
 
 module.exports = router; 
\ No newline at end of file
@@ -4,12 +4,20 @@ const authController = require('../controllers/auth');
 
 const router = express.Router();
 
-// Temporarily disable authentication for testing
-// router.use(authController.protect);
+// Protect all routes
+router.use(authController.protect);
 
 // Get all outreach activities
 router.get('/', outreachController.getOutreachActivities);
 
+// Background status sync
+router.get('/sync/status', outreachController.getSyncStatus);
+router.post('/sync/run', authController.restrictTo('admin'), outreachController.runSync);
+
+// Salesfinity call history import
+router.get('/import/salesfinity', outreachController.getSalesfinityImportStatus);
+router.post('/import/salesfinity', authController.restrictTo('admin', 'manager'), outreachController.importSalesfinityCalls);
+
 // Get a single outreach activity
 router.get('/:id', outreachController.getOutreachActivity);
 
@@ -31,7 +39,7 @@ router.post('/lead/:leadId/linkedin/message', outreachController.sendLinkedInMes
 // Update outreach activity
 router.patch('/:id', outreachController.updateOutreachActivity);
 
-// Sync outreach status with third-party services
+// Sync one outreach's status with third-party services right away
 router.post('/:id/sync', outreachController.syncOutreachStatus);
 
 // Create a follow-up outreach
@@ -0,0 +1,41 @@
+const express = require('express');
+const sequencesController = require('../controllers/sequences');
+const enrollmentsController = require('../controllers/enrollments');
+const authController = require('../controllers/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authController.protect);
+
+// Sequence CRUD operations
+router.route('/')
+  .get(sequencesController.getSequences)
+  .post(sequencesController.createSequence);
+
+router.route('/:id')
+  .get(sequencesController.getSequence)
+  .patch(sequencesController.updateSequence)
+  .delete(authController.restrictTo('admin', 'manager'), sequencesController.deleteSequence);
+
+// Sequence lifecycle
+router.post('/:id/clone', sequencesController.cloneSequence);
+router.post('/:id/activate', sequencesController.activateSequence);
+router.post('/:id/pause', sequencesController.pauseSequence);
+router.post('/:id/archive', sequencesController.archiveSequence);
+
+// Sequence step management
+router.post('/:id/steps', sequencesController.addStep);
+router.patch('/:id/steps/reorder', sequencesController.reorderSteps);
+router.patch('/:id/steps/:stepId', sequencesController.updateStep);
+router.delete('/:id/steps/:stepId', sequencesController.removeStep);
+
+// Step A/B test results
+router.get('/:id/steps/:stepId/variants/stats', sequencesController.getStepVariantStats);
+router.post('/:id/steps/:stepId/variants/winner', sequencesController.declareStepWinner);
+
+// Sequence enrollment management
+router.post('/:id/enroll', enrollmentsController.enrollLeads);
+router.get('/:id/enrollments', enrollmentsController.getSequenceEnrollments);
+
+module.exports = router;
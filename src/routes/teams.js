@@ -0,0 +1,27 @@
+const express = require('express');
+const teamsController = require('../controllers/teams');
+const authController = require('../controllers/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authController.protect);
+
+// Team CRUD operations
+router.route('/')
+  .get(teamsController.getTeams)
+  .post(authController.restrictTo('admin'), teamsController.createTeam);
+
+router.route('/:id')
+  .get(teamsController.getTeam)
+  .patch(teamsController.updateTeam)
+  .delete(authController.restrictTo('admin'), teamsController.deleteTeam);
+
+// Team membership
+router.post('/:id/members', teamsController.addTeamMembers);
+router.delete('/:id/members', teamsController.removeTeamMembers);
+
+// Pipeline and activity rolled up across the team
+router.get('/:id/rollup', teamsController.getTeamRollup);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const templatesController = require('../controllers/templates');
+const authController = require('../controllers/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authController.protect);
+
+// Render template content against a lead
+router.post('/preview', templatesController.previewTemplate);
+
+// Template CRUD operations
+router.route('/')
+  .get(templatesController.getTemplates)
+  .post(templatesController.createTemplate);
+
+router.route('/:id')
+  .get(templatesController.getTemplate)
+  .patch(templatesController.updateTemplate)
+  .delete(templatesController.deleteTemplate);
+
+// Template versions
+router.post('/:id/versions/:version/restore', templatesController.restoreTemplateVersion);
+
+module.exports = router;
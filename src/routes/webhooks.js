@@ -0,0 +1,10 @@
+const express = require('express');
+const webhooksController = require('../controllers/webhooks');
+
+const router = express.Router();
+
+// Webhooks authenticate with a shared secret instead of a user session
+router.post('/instantly', webhooksController.instantlyWebhook);
+router.post('/salesfinity', webhooksController.salesfinityWebhook);
+
+module.exports = router;
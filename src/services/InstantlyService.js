@@ -28,32 +28,47 @@ class InstantlyService {
       campaignDetails: true, // /campaigns/{id} - confirmed working
       leads: null,         // Not confirmed yet
       analytics: null,     // Not confirmed yet
+      emailSteps: null,    // Not confirmed yet
     };
   }
   
   /**
-   * Test API connection by fetching API keys
-   * @returns {Promise<boolean>} - Whether the connection was successful
+   * Validate the API key by fetching API keys
+   * @returns {Promise<Object>} - { valid, apiKey } on success, { valid, error } otherwise
    */
-  async testConnection() {
+  async validateConnection() {
     try {
       const response = await this.client.get('/api-keys');
       
       // Store API key info for potential reuse
       if (response.data && response.data.items && response.data.items.length > 0) {
         this.apiKeyInfo = response.data.items[0];
-        console.log(`API Key name: ${this.apiKeyInfo.name}, scopes: ${this.apiKeyInfo.scopes.join(', ')}`);
       }
+      this.availableEndpoints.apiKeys = true;
       
-      return !!(response.data && response.data.items);
-    } catch (error) {
-      console.error('Error testing Instantly connection:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
+      if (!(response.data && response.data.items)) {
+        return { valid: false, error: 'Unexpected response from Instantly' };
       }
+      return { valid: true, apiKey: this.apiKeyInfo || null };
+    } catch (error) {
       this.availableEndpoints.apiKeys = false;
-      return false;
+      return {
+        valid: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+  
+  /**
+   * Test API connection
+   * @returns {Promise<boolean>} - Whether the connection was successful
+   */
+  async testConnection() {
+    const { valid, error } = await this.validateConnection();
+    if (!valid) {
+      console.error('Error testing Instantly connection:', error);
     }
+    return valid;
   }
   
   /**
@@ -84,6 +99,35 @@ class InstantlyService {
     }
   }
   
+  /**
+   * Get every campaign, following pagination
+   * @param {number} maxPages - Maximum number of pages of 100 to fetch
+   * @returns {Promise<Array>} - List of campaigns
+   */
+  async getAllCampaigns(maxPages = 20) {
+    try {
+      const campaigns = [];
+      let startingAfter;
+
+      for (let page = 0; page < maxPages; page++) {
+        const response = await this.client.get('/campaigns', {
+          params: { limit: 100, starting_after: startingAfter }
+        });
+        const items = response.data?.items || (Array.isArray(response.data) ? response.data : []);
+        campaigns.push(...items);
+
+        startingAfter = response.data?.next_starting_after;
+        if (!startingAfter || items.length === 0) break;
+      }
+
+      this.availableEndpoints.campaigns = true;
+      return campaigns;
+    } catch (error) {
+      console.error('Error fetching campaigns:', error.message);
+      throw new Error(`Failed to fetch campaigns: ${error.message}`);
+    }
+  }
+  
   /**
    * Get a specific campaign by ID
    * @param {string} campaignId - Campaign ID to retrieve 
@@ -96,7 +140,10 @@ class InstantlyService {
       return response.data;
     } catch (error) {
       console.error(`Error fetching campaign ${campaignId}:`, error.message);
-      this.availableEndpoints.campaignDetails = false;
+      // A 404 only means this campaign does not exist
+      if (error.response && error.response.status === 403) {
+        this.availableEndpoints.campaignDetails = false;
+      }
       throw new Error(`Failed to fetch campaign: ${error.message}`);
     }
   }
@@ -105,7 +152,7 @@ class InstantlyService {
    * Add leads to a campaign
    * @param {string} campaignId - Campaign ID to add leads to
    * @param {Array<Object>} leads - Array of lead objects with required fields
-   * @returns {Promise<Object>} - Result of adding leads
+   * @returns {Promise<Object>} - Bulk add result, including created_leads and counts of skipped leads
    */
   async addLeadsToCampaign(campaignId, leads) {
     try {
@@ -121,36 +168,23 @@ class InstantlyService {
         ...lead // Include any additional fields
       }));
       
-      // First check if this endpoint is available
-      if (this.availableEndpoints.leads === null) {
-        try {
-          const response = await this.client.post(`/campaigns/${campaignId}/leads`, {
-            leads: formattedLeads.slice(0, 1) // Try with just one lead to test
-          });
-          this.availableEndpoints.leads = true;
-          
-          // If we get here, the endpoint exists and we can make the real request
-          if (formattedLeads.length > 1) {
-            const fullResponse = await this.client.post(`/campaigns/${campaignId}/leads`, {
-              leads: formattedLeads
-            });
-            return fullResponse.data;
-          }
-          return response.data;
-        } catch (error) {
-          if (error.response && error.response.status === 404) {
-            this.availableEndpoints.leads = false;
-            throw new Error('Adding leads is not available in your API tier');
-          }
-          throw error;
-        }
-      } else if (this.availableEndpoints.leads === false) {
+      if (this.availableEndpoints.leads === false) {
         throw new Error('Adding leads is not available in your API tier');
-      } else {
-        const response = await this.client.post(`/campaigns/${campaignId}/leads`, {
+      }
+      
+      try {
+        const response = await this.client.post('/leads/add', {
+          campaign_id: campaignId,
           leads: formattedLeads
         });
+        this.availableEndpoints.leads = true;
         return response.data;
+      } catch (error) {
+        if (error.response && [403, 404].includes(error.response.status)) {
+          this.availableEndpoints.leads = false;
+          throw new Error('Adding leads is not available in your API tier');
+        }
+        throw error;
       }
     } catch (error) {
       console.error(`Error adding leads to campaign ${campaignId}:`, error.message);
@@ -173,8 +207,9 @@ class InstantlyService {
     }
     
     try {
-      const response = await this.client.get(`/campaigns/${campaignId}/leads`, {
-        params: { limit }
+      const response = await this.client.post('/leads/list', {
+        campaign: campaignId,
+        limit
       });
       
       this.availableEndpoints.leads = true;
@@ -186,7 +221,7 @@ class InstantlyService {
       }
       return [];
     } catch (error) {
-      if (error.response && error.response.status === 404) {
+      if (error.response && [403, 404].includes(error.response.status)) {
         console.log('Leads endpoint is not available in your API tier');
         this.availableEndpoints.leads = false;
         return [];
@@ -196,6 +231,108 @@ class InstantlyService {
     }
   }
   
+  /**
+   * Find a lead in a campaign by email, for outreach whose Instantly lead ID was never recorded
+   * @param {string} campaignId - Campaign ID to search
+   * @param {string} email - Lead email
+   * @returns {Promise<Object|null>} - The Instantly lead, or null if it is not in the campaign
+   */
+  async findLeadByEmail(campaignId, email) {
+    if (this.availableEndpoints.leads === false) {
+      throw new Error('Leads endpoint is not available in your API tier');
+    }
+    
+    try {
+      const response = await this.client.post('/leads/list', {
+        campaign: campaignId,
+        search: email,
+        limit: 10
+      });
+      this.availableEndpoints.leads = true;
+      
+      const items = response.data?.items || (Array.isArray(response.data) ? response.data : []);
+      return items.find(lead => String(lead.email || '').toLowerCase() === String(email).toLowerCase()) || null;
+    } catch (error) {
+      console.error(`Error finding lead ${email} in campaign ${campaignId}:`, error.message);
+      throw new Error(`Failed to find lead: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get where a lead stands in its campaign
+   * @param {string} leadId - Instantly lead ID
+   * @returns {Promise<Object>} - { status, sentAt, openedAt, clickedAt, repliedAt, bounceReason }
+   */
+  async getLeadStatus(leadId) {
+    if (this.availableEndpoints.leads === false) {
+      throw new Error('Leads endpoint is not available in your API tier');
+    }
+    
+    try {
+      const response = await this.client.get(`/leads/${leadId}`);
+      this.availableEndpoints.leads = true;
+      return this.mapLeadStatus(response.data);
+    } catch (error) {
+      console.error(`Error fetching lead ${leadId}:`, error.message);
+      throw new Error(`Failed to fetch lead status: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Map an Instantly lead to the furthest point it reached
+   * @param {Object} lead - Lead as returned by the Instantly API
+   * @returns {Object} - Lead status with event timestamps
+   */
+  mapLeadStatus(lead) {
+    const result = {
+      status: 'scheduled',
+      sentAt: lead.timestamp_last_contact || null,
+      openedAt: lead.timestamp_last_open || null,
+      clickedAt: lead.timestamp_last_click || null,
+      repliedAt: lead.timestamp_last_reply || null,
+      bounceReason: null
+    };
+    
+    // Negative statuses: -1 bounced, -2 unsubscribed, -3 skipped
+    if (lead.status === -1) {
+      result.status = 'bounced';
+      result.bounceReason = 'Bounced';
+    } else if (lead.email_reply_count > 0 || result.repliedAt) {
+      result.status = 'replied';
+    } else if (lead.email_click_count > 0 || result.clickedAt) {
+      result.status = 'clicked';
+    } else if (lead.email_open_count > 0 || result.openedAt) {
+      result.status = 'opened';
+    } else if (result.sentAt) {
+      result.status = 'sent';
+    } else if (lead.status === -2 || lead.status === -3) {
+      result.status = 'failed';
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Map one of our leads to the fields Instantly accepts
+   * @param {Object} lead - Lead document
+   * @returns {Object} - Instantly lead
+   */
+  mapLeadToInstantlyFormat(lead) {
+    return {
+      email: lead.email,
+      first_name: lead.firstName || '',
+      last_name: lead.lastName || '',
+      company_name: lead.company || '',
+      phone: lead.phone || '',
+      website: lead.website || '',
+      custom_variables: {
+        jobTitle: lead.jobTitle || '',
+        linkedinUrl: lead.linkedinUrl || '',
+        internalId: String(lead._id)
+      }
+    };
+  }
+  
   /**
    * Start a campaign
    * @param {string} campaignId - Campaign ID to start
@@ -207,7 +344,7 @@ class InstantlyService {
         throw new Error('Campaign endpoints are not available in your API tier');
       }
       
-      const response = await this.client.post(`/campaigns/${campaignId}/start`);
+      const response = await this.client.post(`/campaigns/${campaignId}/activate`);
       return response.data;
     } catch (error) {
       console.error(`Error starting campaign ${campaignId}:`, error.message);
@@ -234,6 +371,62 @@ class InstantlyService {
     }
   }
   
+  /**
+   * Resume a paused campaign
+   * @param {string} campaignId - Campaign ID to resume
+   * @returns {Promise<Object>} - Result of resuming the campaign
+   */
+  async resumeCampaign(campaignId) {
+    return this.startCampaign(campaignId);
+  }
+  
+  /**
+   * Replace a campaign's email steps
+   * @param {string} campaignId - Campaign ID
+   * @param {Array<Object>} steps - Steps in order, each { subject, body, delayDays }
+   * @returns {Promise<Object>} - Updated campaign
+   */
+  async setEmailSteps(campaignId, steps) {
+    if (this.availableEndpoints.emailSteps === false) {
+      throw new Error('Editing email steps is not available in your API tier');
+    }
+    
+    try {
+      const response = await this.client.patch(`/campaigns/${campaignId}`, {
+        sequences: [{
+          steps: steps.map(step => ({
+            type: 'email',
+            delay: step.delayDays || 0,
+            variants: [{ subject: step.subject, body: step.body }]
+          }))
+        }]
+      });
+      this.availableEndpoints.emailSteps = true;
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 403) {
+        this.availableEndpoints.emailSteps = false;
+      }
+      console.error(`Error setting email steps for campaign ${campaignId}:`, error.message);
+      throw new Error(`Failed to set email steps: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Map an Instantly campaign status to ours
+   * @param {number} status - 0 draft, 1 active, 2 paused, 3 completed
+   * @returns {string} - Campaign status
+   */
+  mapCampaignStatus(status) {
+    const statusMap = {
+      0: 'Draft',
+      1: 'Active',
+      2: 'Paused',
+      3: 'Completed'
+    };
+    return statusMap[status] || 'Draft';
+  }
+  
   /**
    * Create a new campaign
    * @param {Object} campaignData - Campaign details
@@ -267,11 +460,13 @@ class InstantlyService {
     }
     
     try {
-      const response = await this.client.get(`/campaigns/${campaignId}/analytics`);
+      const response = await this.client.get('/campaigns/analytics', {
+        params: { id: campaignId }
+      });
       this.availableEndpoints.analytics = true;
-      return response.data;
+      return Array.isArray(response.data) ? response.data[0] || {} : response.data;
     } catch (error) {
-      if (error.response && error.response.status === 404) {
+      if (error.response && [403, 404].includes(error.response.status)) {
         console.log('Analytics endpoint is not available in your API tier');
         this.availableEndpoints.analytics = false;
         return { message: 'Analytics not available in your API tier' };
@@ -281,13 +476,50 @@ class InstantlyService {
     }
   }
   
+  /**
+   * Probe the endpoints the API key can use
+   * @returns {Promise<Object>} - API tier info
+   */
+  async detectTier() {
+    const { valid, error } = await this.validateConnection();
+    if (!valid) {
+      throw new Error(`Failed to connect to Instantly API: ${error}`);
+    }
+    
+    // Each probe records what it finds in availableEndpoints
+    let campaignId;
+    try {
+      const campaigns = await this.getCampaigns(1);
+      campaignId = campaigns[0]?.id;
+    } catch (error) {
+      // Recorded by getCampaigns
+    }
+    
+    if (campaignId) {
+      await this.getCampaign(campaignId).catch(() => {});
+      await this.getLeads(campaignId, 1).catch(() => {});
+      await this.getCampaignAnalytics(campaignId).catch(() => {});
+    }
+    
+    return this.getApiTierInfo();
+  }
+  
   /**
    * Get available API tier info
    * @returns {Object} - Information about the available endpoints in your API tier
    */
   getApiTierInfo() {
+    // Leads and analytics are the endpoints lower tiers leave out
+    let apiTier = 'Unknown';
+    if (Object.values(this.availableEndpoints).includes(false)) {
+      apiTier = 'Limited';
+    } else if (this.availableEndpoints.leads && this.availableEndpoints.analytics) {
+      apiTier = 'Full';
+    }
+    
     return {
-      apiTier: this.apiKeyInfo ? this.apiKeyInfo.name : 'Unknown',
+      apiTier,
+      apiKeyName: this.apiKeyInfo ? this.apiKeyInfo.name : null,
       apiScopes: this.apiKeyInfo ? this.apiKeyInfo.scopes : [],
       availableEndpoints: this.availableEndpoints
     };
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Outreach = require('../models/outreach');
+
+/**
+ * Variant assignment and result analysis for A/B tests on message copy
+ */
+class ABTestingService {
+  constructor() {
+    // Metrics a winner can be declared on
+    this.metrics = ['openRate', 'replyRate', 'positiveReplyRate'];
+  }
+
+  /**
+   * Pick a variant at random according to the traffic split
+   * @param {Array<Object>} variants - Variants with a weight
+   * @returns {Object|null} The chosen variant
+   */
+  pickVariant(variants) {
+    if (!variants || variants.length === 0) return null;
+
+    const weights = variants.map(v => (v.weight > 0 ? v.weight : 0));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total === 0) return variants[0];
+
+    let roll = Math.random() * total;
+    for (let i = 0; i < variants.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return variants[i];
+    }
+
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Per-variant open, reply and positive reply counts
+   * @param {Object} filter - Outreach filter, e.g. { sequence } or { campaign }
+   * @param {Object} [options]
+   * @param {boolean} [options.byName] - Combine variants sharing a name, e.g. across steps
+   * @returns {Promise<Array<Object>>} Stats per variant, largest sample first
+   */
+  async getVariantStats(filter, { byName = false } = {}) {
+    const match = { ...filter, variant: { $exists: true, $ne: null } };
+    Object.keys(match).forEach(key => {
+      if (typeof match[key] === 'string' && mongoose.isValidObjectId(match[key])) {
+        match[key] = new mongoose.Types.ObjectId(match[key]);
+      }
+    });
+
+    const results = await Outreach.aggregate([
+      // Cancelled and failed sends never reached the lead
+      { $match: { ...match, status: { $nin: ['Cancelled', 'Failed'] } } },
+      {
+        $group: {
+          _id: byName ? { variant: '$variant' } : { variantId: '$variantId', variant: '$variant' },
+          sent: { $sum: 1 },
+          opened: { $sum: { $cond: [{ $ifNull: ['$email.openedAt', false] }, 1, 0] } },
+          replied: {
+            $sum: {
+              $cond: [
+                { $or: [{ $eq: ['$status', 'Replied'] }, { $eq: ['$response.received', true] }] },
+                1,
+                0
+              ]
+            }
+          },
+          positiveReplies: {
+            $sum: { $cond: [{ $eq: ['$response.sentiment', 'Positive'] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { sent: -1 } }
+    ]);
+
+    const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+    return results.map(r => ({
+      variantId: r._id.variantId,
+      variant: r._id.variant,
+      sent: r.sent,
+      opened: r.opened,
+      replied: r.replied,
+      positiveReplies: r.positiveReplies,
+      openRate: rate(r.opened, r.sent),
+      replyRate: rate(r.replied, r.sent),
+      positiveReplyRate: rate(r.positiveReplies, r.sent)
+    }));
+  }
+
+  /**
+   * Check winner options from a request; a low confidence or sample floor would let noise win
+   * @param {Object} options - metric, confidence and minSample, each optional
+   * @returns {string|null} What is wrong with them, or null when they are usable
+   */
+  validateWinnerOptions({ metric, confidence, minSample } = {}) {
+    if (metric !== undefined && !this.metrics.includes(metric)) {
+      return `Metric must be one of: ${this.metrics.join(', ')}`;
+    }
+    if (confidence !== undefined && !(typeof confidence === 'number' && confidence >= 0.5 && confidence < 1)) {
+      return 'confidence must be a number from 0.5 up to (not including) 1';
+    }
+    if (minSample !== undefined && !(Number.isInteger(minSample) && minSample >= 1)) {
+      return 'minSample must be a whole number of at least 1';
+    }
+    return null;
+  }
+
+  /**
+   * Compare the best variant with the runner-up using a two-proportion z-test
+   * @param {Array<Object>} stats - Output of getVariantStats
+   * @param {Object} options
+   * @param {string} [options.metric] - openRate, replyRate or positiveReplyRate
+   * @param {number} [options.confidence] - Required confidence, e.g. 0.95
+   * @param {number} [options.minSample] - Minimum sends per variant
+   * @returns {Object} Winner, p-value and whether the result is significant
+   */
+  evaluateWinner(stats, { metric = 'replyRate', confidence = 0.95, minSample = 30 } = {}) {
+    if (!this.metrics.includes(metric)) {
+      throw new Error(`Unknown metric: ${metric}`);
+    }
+
+    const countField = {
+      openRate: 'opened',
+      replyRate: 'replied',
+      positiveReplyRate: 'positiveReplies'
+    }[metric];
+
+    if (stats.length < 2) {
+      return { significant: false, reason: 'At least two variants need results' };
+    }
+
+    const ranked = [...stats].sort((a, b) => b[metric] - a[metric]);
+    const [best, runnerUp] = ranked;
+
+    if (best.sent < minSample || runnerUp.sent < minSample) {
+      return {
+        significant: false,
+        leader: best,
+        reason: `Each variant needs at least ${minSample} sends`
+      };
+    }
+
+    const p1 = best[countField] / best.sent;
+    const p2 = runnerUp[countField] / runnerUp.sent;
+    const pooled = (best[countField] + runnerUp[countField]) / (best.sent + runnerUp.sent);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / best.sent + 1 / runnerUp.sent));
+
+    const z = standardError > 0 ? (p1 - p2) / standardError : 0;
+    // Two-sided p-value
+    const pValue = 2 * (1 - this.normalCdf(Math.abs(z)));
+    const significant = z > 0 && pValue < 1 - confidence;
+
+    return {
+      significant,
+      metric,
+      confidence,
+      zScore: Math.round(z * 1000) / 1000,
+      pValue: Math.round(pValue * 10000) / 10000,
+      winner: significant ? best : null,
+      leader: best,
+      runnerUp,
+      reason: significant ? undefined : 'Difference is not statistically significant yet'
+    };
+  }
+
+  // Standard normal cumulative distribution (Abramowitz-Stegun approximation)
+  normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const density = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 +
+      t * (-1.821255978 + t * 1.330274429))));
+    return x >= 0 ? 1 - tail : tail;
+  }
+}
+
+module.exports = new ABTestingService();
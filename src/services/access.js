@@ -0,0 +1,127 @@
+const User = require('../models/user');
+const Lead = require('../models/lead');
+const Campaign = require('../models/campaign');
+const Team = require('../models/team');
+
+/**
+ * Row-level access to leads, campaigns, outreach and sequence enrollments by role. Admins see everything,
+ * managers see their team's records and sales reps see their own.
+ */
+class AccessControl {
+  /**
+   * Users and teams whose records a user can see
+   * @param {Object} user - The request user
+   * @returns {Promise<{ members: Array, teams: Array }|null>} User and team IDs, or null when the user can see everything
+   */
+  async getScope(user) {
+    if (user.role === 'admin') return null;
+
+    const teams = await Team.find({ $or: [{ manager: user._id }, { members: user._id }] });
+    const teamIds = teams.map(team => team._id);
+
+    if (user.role !== 'manager') {
+      return { members: [user._id], teams: teamIds };
+    }
+
+    const managed = teams.filter(team => team.isManagedBy(user._id));
+    const members = managed.length > 0
+      ? managed.flatMap(team => team.getUserIds())
+      // Managers without a team of their own see their department, as before teams existed
+      : await User.find({ department: user.department }).distinct('_id');
+
+    return { members: this.unique([user._id, ...members]), teams: teamIds };
+  }
+
+  // Drop repeated IDs
+  unique(ids) {
+    return ids.filter((id, index) => ids.findIndex(other => String(other) === String(id)) === index);
+  }
+
+  // Add a scope to a filter without letting the filter's own $and or $or widen it
+  combine(filter, scope) {
+    if (!scope) return filter;
+    return { ...filter, $and: [...(filter.$and || []), scope] };
+  }
+
+  // Campaigns the given users or teams work on
+  campaignScope({ members, teams }) {
+    return {
+      $or: [
+        { team: { $in: members } },
+        { teams: { $in: teams } },
+        { createdBy: { $in: members } }
+      ]
+    };
+  }
+
+  /**
+   * Restrict a campaign filter to the campaigns a user can see
+   * @param {Object} user - The request user
+   * @param {Object} [filter] - Filter to restrict
+   * @returns {Promise<Object>} Scoped filter
+   */
+  async campaigns(user, filter = {}) {
+    const scope = await this.getScope(user);
+    return this.combine(filter, scope && this.campaignScope(scope));
+  }
+
+  /**
+   * Restrict a lead filter to leads assigned to or created by the user's team,
+   * plus the leads of campaigns the team works on
+   * @param {Object} user - The request user
+   * @param {Object} [filter] - Filter to restrict
+   * @returns {Promise<Object>} Scoped filter
+   */
+  async leads(user, filter = {}) {
+    const scope = await this.getScope(user);
+    if (!scope) return filter;
+
+    const campaignLeads = await Campaign.distinct('leads', {
+      $or: [{ team: { $in: scope.members } }, { teams: { $in: scope.teams } }]
+    });
+    return this.combine(filter, {
+      $or: [
+        { assignedTo: { $in: scope.members } },
+        { assignedTeam: { $in: scope.teams } },
+        { createdBy: { $in: scope.members } },
+        { _id: { $in: campaignLeads } }
+      ]
+    });
+  }
+
+  /**
+   * Restrict a sequence enrollment filter to enrollments of leads the user can see
+   * @param {Object} user - The request user
+   * @param {Object} [filter] - Filter to restrict
+   * @returns {Promise<Object>} Scoped filter
+   */
+  async enrollments(user, filter = {}) {
+    const scope = await this.getScope(user);
+    if (!scope) return filter;
+
+    const leads = await Lead.distinct('_id', await this.leads(user));
+    return this.combine(filter, { lead: { $in: leads } });
+  }
+
+  /**
+   * Restrict an outreach filter to outreach performed by the user's team
+   * or belonging to campaigns they can see
+   * @param {Object} user - The request user
+   * @param {Object} [filter] - Filter to restrict
+   * @returns {Promise<Object>} Scoped filter
+   */
+  async outreach(user, filter = {}) {
+    const scope = await this.getScope(user);
+    if (!scope) return filter;
+
+    const campaigns = await Campaign.distinct('_id', this.campaignScope(scope));
+    return this.combine(filter, {
+      $or: [
+        { performedBy: { $in: scope.members } },
+        { campaign: { $in: campaigns } }
+      ]
+    });
+  }
+}
+
+module.exports = new AccessControl();
@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const Outreach = require('../models/outreach');
+const Lead = require('../models/lead');
+const User = require('../models/user');
+const ImportCursor = require('../models/importCursor');
+const outreachService = require('./outreach');
+const SalesfinityService = require('./salesfinity');
+const salesfinitySync = require('./salesfinitySync');
+
+const PAGE_SIZE = 100;
+
+/**
+ * Imports Salesfinity calls as Outreach call records, matched to leads
+ */
+class CallImporter {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    // Only used for its call mapping helpers, which need no API key
+    this.mapper = new SalesfinityService(process.env.SALESFINITY_API_KEY);
+  }
+
+  // Periodically import new calls with the server-wide Salesfinity key
+  start(intervalMs = 60 * 60 * 1000) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.importCalls().catch(error => {
+        console.error('Salesfinity call import failed:', error.message);
+      });
+    }, intervalMs);
+
+    console.log(`Salesfinity call importer started (every ${intervalMs / 1000}s)`);
+  }
+
+  // Stop importing
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Import calls from Salesfinity. The first run (or a full run) walks the whole call log;
+   * later runs stop at the newest call already imported.
+   * @param {Object} options
+   * @param {Object} [options.user] - User whose Salesfinity key to use; the server-wide key otherwise
+   * @param {boolean} [options.full] - Ignore the cursor and re-import history
+   * @param {number} [options.maxPages] - Pages of 100 calls to fetch at most (0 for all)
+   * @returns {Promise<Object>} Cursor with the run's stats
+   */
+  async importCalls({ user = null, full = false, maxPages = 0 } = {}) {
+    if (this.running) {
+      throw new Error('A call import is already running');
+    }
+
+    // Claimed before any await so runs started close together cannot both get in
+    this.running = true;
+    try {
+      return await this.runImport({ user, full, maxPages });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // One import run; importCalls makes sure only one runs at a time
+  async runImport({ user, full, maxPages }) {
+    if (user) {
+      outreachService.initUserServices(user);
+    }
+    const service = outreachService.getService(user ? user._id : 'default', 'Salesfinity');
+    if (!service) {
+      throw new Error('Salesfinity is not configured');
+    }
+
+    const cursor = await ImportCursor.findOneAndUpdate(
+      { integration: 'Salesfinity', resource: 'callLogs', user: user ? user._id : null },
+      {},
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    cursor.status = 'Running';
+    cursor.lastRunAt = new Date();
+    await cursor.save();
+
+    const stats = { fetched: 0, created: 0, updated: 0, unmatched: 0, failed: 0 };
+    const since = full ? null : cursor.lastRecordAt;
+
+    try {
+      await this.backfillLeadPhones();
+
+      const calls = since
+        ? await this.fetchCallsSince(service, since, maxPages)
+        : await service.getAllCallLogs(maxPages);
+
+      // Oldest first, so the cursor only moves past calls that were handled
+      calls.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+      // Once a call fails the cursor stays put, so the next run retries it
+      let failedEarlier = false;
+
+      for (const listedCall of calls) {
+        stats.fetched++;
+
+        try {
+          const call = await this.withDetails(service, listedCall);
+          const result = await this.upsertCall(call, { user });
+
+          if (!result.matched) {
+            stats.unmatched++;
+          } else if (result.created) {
+            stats.created++;
+          } else {
+            stats.updated++;
+          }
+
+          const callAt = call.createdAt ? new Date(call.createdAt) : null;
+          if (!failedEarlier && callAt && (!cursor.lastRecordAt || callAt > cursor.lastRecordAt)) {
+            cursor.lastRecordAt = callAt;
+            cursor.lastRecordId = String(call._id || call.id);
+          }
+        } catch (error) {
+          stats.failed++;
+          failedEarlier = true;
+          cursor.lastError = error.message;
+        }
+      }
+
+      cursor.status = 'Idle';
+      if (stats.failed === 0) cursor.lastError = undefined;
+    } catch (error) {
+      cursor.status = 'Failed';
+      cursor.lastError = error.message;
+      throw error;
+    } finally {
+      cursor.lastRunStats = stats;
+      await cursor.save();
+    }
+
+    return cursor;
+  }
+
+  // Page through the call log until every call on a page is older than the cursor
+  async fetchCallsSince(service, since, maxPages) {
+    const calls = [];
+
+    for (let page = 1; maxPages === 0 || page <= maxPages; page++) {
+      const { data, pagination } = await service.getCallLogs(page, PAGE_SIZE);
+      const newer = data.filter(call => call.createdAt && new Date(call.createdAt) > since);
+      calls.push(...newer);
+
+      const lastPage = data.length < PAGE_SIZE || (pagination?.total && page * PAGE_SIZE >= pagination.total);
+      if (newer.length === 0 || lastPage) break;
+    }
+
+    return calls;
+  }
+
+  // Call log entries may leave out the contact; fetch the full call when it is needed for matching
+  async withDetails(service, call) {
+    if (call.contact || call.to) return call;
+
+    const { data } = await service.getCallDetails(call._id || call.id);
+    return { ...call, ...(data?.data || data) };
+  }
+
+  /**
+   * Record a call, updating the matching outreach or creating one
+   * @param {Object} call - Salesfinity call
+   * @param {Object} [options]
+   * @param {Object} [options.user] - User running the import, credited when the call's rep is unknown
+   * @returns {Promise<{ matched: boolean, created?: boolean, outreach?: Object }>}
+   */
+  async upsertCall(call, { user = null } = {}) {
+    const callId = String(call._id || call.id);
+
+    let outreach = await Outreach.findOne({ 'externalIds.salesfinityId': callId });
+    let lead = null;
+
+    if (!outreach) {
+      lead = await this.findLeadForCall(call);
+      if (!lead) {
+        return { matched: false };
+      }
+
+      // A call scheduled from here that the dialer has now made
+      outreach = await Outreach.findOne({
+        lead: lead._id,
+        channel: 'Salesfinity',
+        status: 'Scheduled',
+        'externalIds.salesfinityId': { $in: [null, ''] }
+      }).sort('scheduledAt');
+    }
+
+    const leadId = outreach ? outreach.lead : lead._id;
+    const data = this.mapper.mapSalesfinityCallToOutreach({ ...call, _id: callId }, leadId);
+    const created = !outreach;
+    const previous = created ? null : { status: outreach.status, outcome: outreach.call?.outcome };
+
+    if (created) {
+      outreach = new Outreach({
+        ...data,
+        performedBy: await this.findCallUser(call, lead, user)
+      });
+    } else {
+      outreach.status = data.status;
+      outreach.sentAt = data.sentAt;
+      outreach.externalIds.salesfinityId = data.externalIds.salesfinityId;
+      // Keep what we already know, e.g. notes, when the dialer leaves a field empty
+      Object.entries(data.call).forEach(([field, value]) => {
+        if (value !== undefined && value !== '') {
+          outreach.call[field] = value;
+        }
+      });
+    }
+
+    await outreach.save();
+
+    // Contacts edited in the dialer flow back onto the lead
+    if (call.contact) {
+      const contactLead = lead || await Lead.findById(leadId);
+      const changedAt = new Date(call.contact.updatedAt || call.updatedAt || call.createdAt || Date.now());
+      if (contactLead) {
+        await salesfinitySync.pullContactChanges(contactLead, call.contact, changedAt);
+      }
+    }
+
+    // Never move lastContactedDate backwards when importing old calls
+    await Lead.updateOne(
+      {
+        _id: leadId,
+        $or: [{ lastContactedDate: null }, { lastContactedDate: { $lt: outreach.sentAt } }]
+      },
+      { lastContactedDate: outreach.sentAt }
+    );
+    await outreachService.exitSequencesOnOutcome(outreach, previous, outreach.sentAt || new Date());
+
+    return { matched: true, created, outreach };
+  }
+
+  // Find the lead a call was made to: the internal ID written by mapLeadToSalesfinityContact, then email, then phone
+  async findLeadForCall(call) {
+    const contact = call.contact || {};
+    const internalId = contact.customFields?.internalId || contact.custom_fields?.internalId || contact.internalId;
+
+    if (internalId && mongoose.isValidObjectId(internalId)) {
+      const lead = await Lead.findById(internalId);
+      if (lead) return lead;
+    }
+
+    if (contact.email) {
+      const lead = await Lead.findByEmail(contact.email);
+      if (lead) return lead;
+    }
+
+    const phones = [call.to, contact.phone, ...(contact.phone_numbers || []).map(p => p.number)]
+      .map(phone => Lead.normalizePhone(phone))
+      .filter(Boolean);
+
+    if (phones.length > 0) {
+      return Lead.findOne({ phoneE164: { $in: phones } }).sort('-updatedAt');
+    }
+
+    return null;
+  }
+
+  // The rep a new call record is credited to
+  async findCallUser(call, lead, importingUser) {
+    const email = call.user?.email;
+    if (email) {
+      const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+      if (user) return user._id;
+    }
+
+    return importingUser?._id || lead.assignedTo || lead.createdBy;
+  }
+
+  // Fill in phoneE164 for leads saved before it existed
+  async backfillLeadPhones() {
+    const leads = await Lead.find({
+      phone: { $nin: [null, ''] },
+      phoneE164: { $exists: false }
+    }).select('phone').limit(5000);
+
+    if (leads.length === 0) return 0;
+
+    await Lead.bulkWrite(leads.map(lead => ({
+      updateOne: {
+        filter: { _id: lead._id },
+        // null marks numbers that could not be normalized, so they are not retried
+        update: { $set: { phoneE164: Lead.normalizePhone(lead.phone) } }
+      }
+    })));
+
+    return leads.length;
+  }
+
+  /**
+   * Import cursors with their last run
+   * @param {Object} [user] - Limit to one user's cursor
+   * @returns {Promise<Array<Object>>}
+   */
+  async getStatus(user = null) {
+    const filter = { integration: 'Salesfinity', resource: 'callLogs' };
+    if (user) filter.user = user._id;
+
+    return ImportCursor.find(filter).populate('user', 'firstName lastName email');
+  }
+}
+
+module.exports = new CallImporter();
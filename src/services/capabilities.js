@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const Integration = require('../models/integration');
+
+/**
+ * What each integration can do. Capabilities are probed when an account connects
+ * and can also be recorded when a feature is used; ones with probe: false are only learned from use.
+ */
+const CAPABILITIES = {
+  Instantly: {
+    campaigns: { description: 'Listing and creating campaigns' },
+    campaignDetails: { description: 'Reading, starting and pausing campaigns' },
+    leads: { description: 'Adding leads to campaigns and reading their status' },
+    analytics: { description: 'Campaign analytics' },
+    emailSteps: { description: 'Editing campaign email steps', probe: false }
+  },
+  Salesfinity: {
+    contactLists: { description: 'Reading contact lists' },
+    contactListManagement: { description: 'Creating, filling and requeueing contact lists', probe: false },
+    callLogs: { description: 'Reading call logs' },
+    team: { description: 'Reading team members' }
+  },
+  LinkedIn: {
+    agents: { description: 'Running LinkedIn automation agents' }
+  }
+};
+
+// Run one probe call, turning its outcome into a capability result
+const check = async (fn) => {
+  try {
+    await fn();
+    return { available: true };
+  } catch (error) {
+    return { available: false, error: error.message };
+  }
+};
+
+// Probes per integration, each returning { capability: { available, error } }
+const PROBES = {
+  async Instantly(service) {
+    // detectTier records its findings in availableEndpoints
+    await service.detectTier();
+    const results = {};
+    Object.keys(CAPABILITIES.Instantly).forEach(name => {
+      const available = service.availableEndpoints[name];
+      results[name] = { available: available === undefined ? null : available };
+    });
+    return results;
+  },
+
+  async Salesfinity(service) {
+    return {
+      contactLists: await check(() => service.getContactLists(1, 1)),
+      callLogs: await check(() => service.getCallLogs(1, 1)),
+      team: await check(() => service.getTeamMembers())
+    };
+  },
+
+  async LinkedIn(service) {
+    return {
+      agents: await check(() => service.getAgents())
+    };
+  }
+};
+
+/**
+ * Registry of integration capabilities, persisted per integration account
+ */
+class CapabilityRegistry {
+  get integrations() {
+    return Object.keys(CAPABILITIES);
+  }
+
+  /**
+   * The account a user's requests to an integration go through
+   * @param {Object} user - User document (or the request user)
+   * @param {string} integration - Instantly, Salesfinity or LinkedIn
+   * @returns {Object|null} The user's ID when they have their own credentials, otherwise null
+   */
+  getOwner(user, integration) {
+    const settings = user?.integrations?.[integration.toLowerCase()];
+    if (!settings?.enabled || !mongoose.isValidObjectId(user._id)) return null;
+
+    switch (integration) {
+      case 'Instantly':
+        return settings.apiKey ? user._id : null;
+      case 'Salesfinity':
+        return settings.apiKey && settings.accountId ? user._id : null;
+      case 'LinkedIn':
+        return settings.email ? user._id : null;
+      default:
+        return null;
+    }
+  }
+
+  // Limited when anything is known to be missing, Full when something works and nothing is missing
+  getTier(capabilities) {
+    if (capabilities.some(c => c.available === false)) return 'Limited';
+    if (capabilities.some(c => c.available === true)) return 'Full';
+    return 'Unknown';
+  }
+
+  /**
+   * Probe an integration account and store what it can do
+   * @param {string} integration - Instantly, Salesfinity or LinkedIn
+   * @param {Object} service - The integration's service for the account
+   * @param {Object|null} owner - Account owner (see getOwner)
+   * @returns {Promise<Object>} Integration record
+   */
+  async probe(integration, service, owner = null) {
+    const record = await Integration.findOneAndUpdate(
+      { integration, user: owner },
+      {},
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const validation = await service.validateConnection();
+    record.probedAt = new Date();
+    record.recordCheck(validation.valid, validation.error);
+
+    if (!validation.valid) {
+      record.probeError = validation.error;
+      await record.save();
+      return record;
+    }
+
+    try {
+      const results = await PROBES[integration](service);
+      Object.entries(results).forEach(([name, result]) => this.setCapability(record, name, result));
+      record.probeError = undefined;
+    } catch (error) {
+      record.probeError = error.message;
+    }
+
+    record.tier = this.getTier(record.capabilities);
+    await record.save();
+    return record;
+  }
+
+  /**
+   * Record what using a feature showed about a capability
+   * @param {string} integration - Instantly, Salesfinity or LinkedIn
+   * @param {Object|null} owner - Account owner (see getOwner)
+   * @param {string} name - Capability name
+   * @param {boolean} available - Whether it worked
+   * @param {string} [error] - Why it did not
+   * @returns {Promise<Object>} Integration record
+   */
+  async record(integration, owner, name, available, error) {
+    const record = await Integration.findOneAndUpdate(
+      { integration, user: owner },
+      {},
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    this.setCapability(record, name, { available, error });
+    record.tier = this.getTier(record.capabilities);
+    await record.save();
+    return record;
+  }
+
+  // Update or add one capability on a record
+  setCapability(record, name, { available, error }) {
+    const capability = record.capabilities.find(c => c.name === name);
+    const values = { name, available, error: available ? undefined : error, checkedAt: new Date() };
+
+    if (capability) {
+      Object.assign(capability, values);
+    } else {
+      record.capabilities.push(values);
+    }
+  }
+
+  /**
+   * Whether a capability is available; null when it has not been probed
+   * @param {string} integration - Instantly, Salesfinity or LinkedIn
+   * @param {Object|null} owner - Account owner (see getOwner)
+   * @param {string} name - Capability name
+   * @returns {Promise<boolean|null>}
+   */
+  async isAvailable(integration, owner, name) {
+    const record = await Integration.findOne({ integration, user: owner });
+    return record ? record.isAvailable(name) : null;
+  }
+
+  /**
+   * Refuse a feature the account is known not to support. Unknown capabilities are allowed,
+   * since the first use is how some of them are found out.
+   * @throws {Error} With statusCode 403 when the capability is unavailable
+   */
+  async assertAvailable(integration, owner, name) {
+    if (await this.isAvailable(integration, owner, name) === false) {
+      const error = new Error(`${CAPABILITIES[integration][name].description} is not available on this ${integration} plan`);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Capabilities of every integration account a user works through
+   * @param {Object} user - User document (or the request user)
+   * @returns {Promise<Array<Object>>} One entry per integration
+   */
+  async listForUser(user) {
+    return Promise.all(this.integrations.map(async integration => {
+      const owner = this.getOwner(user, integration);
+      const record = await Integration.findOne({ integration, user: owner });
+
+      return {
+        integration,
+        account: owner ? 'user' : 'server',
+        tier: record?.tier || 'Unknown',
+        probedAt: record?.probedAt || null,
+        probeError: record?.probeError || null,
+        capabilities: Object.entries(CAPABILITIES[integration]).map(([name, { description }]) => {
+          const capability = record?.capabilities.find(c => c.name === name);
+          return {
+            name,
+            description,
+            available: capability ? capability.available : null,
+            error: capability?.error || null,
+            checkedAt: capability?.checkedAt || null
+          };
+        })
+      };
+    }));
+  }
+
+  /**
+   * Probe the server-wide integration keys that are configured
+   * @returns {Promise<Array<Object>>} Integration records
+   */
+  async probeServerKeys() {
+    // Required here because the outreach service depends on this registry
+    const outreachService = require('./outreach');
+    const records = [];
+
+    for (const integration of this.integrations) {
+      const service = outreachService.getService('default', integration);
+      if (service) {
+        records.push(await this.probe(integration, service, null));
+      }
+    }
+
+    return records;
+  }
+}
+
+module.exports = new CapabilityRegistry();
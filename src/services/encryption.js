@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * AES-256-GCM encryption for secrets stored in Mongo, such as integration API keys.
+ *
+ * The master key comes from INTEGRATION_ENCRYPTION_KEY (32 bytes, base64 or hex). To rotate it,
+ * set the new key there, move the old one to INTEGRATION_ENCRYPTION_PREVIOUS_KEYS (comma-separated)
+ * and run encrypt-integration-keys.js to re-encrypt stored values.
+ */
+class Encryption {
+  constructor() {
+    this.keys = null;
+    this.failedKeyIds = new Set();
+  }
+
+  // Decode a configured key, accepting base64 or hex
+  parseKey(value) {
+    const trimmed = value.trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+    if (key.length !== 32) {
+      throw new Error('Integration encryption keys must be 32 bytes, base64 or hex encoded');
+    }
+    return key;
+  }
+
+  // Short fingerprint stored with each value, to find the key it was encrypted with
+  keyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  }
+
+  // Load the current and previous keys from the environment once
+  loadKeys() {
+    if (this.keys) return this.keys;
+
+    const current = process.env.INTEGRATION_ENCRYPTION_KEY ? this.parseKey(process.env.INTEGRATION_ENCRYPTION_KEY) : null;
+    const previous = (process.env.INTEGRATION_ENCRYPTION_PREVIOUS_KEYS || '')
+      .split(',')
+      .filter(value => value.trim())
+      .map(value => this.parseKey(value));
+
+    this.keys = {
+      current: current ? { id: this.keyId(current), key: current } : null,
+      byId: new Map([current, ...previous].filter(Boolean).map(key => [this.keyId(key), key]))
+    };
+    return this.keys;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+  }
+
+  /**
+   * Encrypt a secret with the current key
+   * @param {string} plaintext - Secret to encrypt; empty values are returned as they are
+   * @returns {string} enc:v1:<keyId>:<iv>:<tag>:<ciphertext>
+   */
+  encrypt(plaintext) {
+    if (!plaintext || this.isEncrypted(plaintext)) return plaintext;
+
+    const { current } = this.loadKeys();
+    if (!current) {
+      throw new Error('INTEGRATION_ENCRYPTION_KEY must be set to store integration API keys');
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [PREFIX, current.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  /**
+   * Decrypt a stored secret. Values saved before encryption was introduced are returned as they are.
+   * @param {string} value - Stored value
+   * @returns {string} Plaintext
+   */
+  decrypt(value) {
+    if (!this.isEncrypted(value)) return value;
+
+    const [, , keyId, iv, tag, ciphertext] = value.split(':');
+    const key = this.loadKeys().byId.get(keyId);
+    if (!key) {
+      throw new Error(`No integration encryption key matches key ID ${keyId}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Decrypt for a model getter: a value that cannot be decrypted reads as missing, so the
+   * integration falls back to the server-wide key instead of failing every request
+   */
+  decryptOrNull(value) {
+    try {
+      return this.decrypt(value);
+    } catch (error) {
+      const keyId = String(value).split(':')[2];
+      if (!this.failedKeyIds.has(keyId)) {
+        this.failedKeyIds.add(keyId);
+        console.error('Could not decrypt a stored integration key:', error.message);
+      }
+      return null;
+    }
+  }
+
+  // Whether a stored value is plaintext or encrypted with an old key
+  needsRotation(value) {
+    if (!value) return false;
+    if (!this.isEncrypted(value)) return true;
+
+    const { current } = this.loadKeys();
+    return Boolean(current) && value.split(':')[2] !== current.id;
+  }
+
+  // Show only the last 4 characters of a secret
+  mask(plaintext) {
+    if (!plaintext) return null;
+    return `****${String(plaintext).slice(-4)}`;
+  }
+}
+
+module.exports = new Encryption();
@@ -0,0 +1,136 @@
+const Campaign = require('../models/campaign');
+
+/**
+ * Links between our campaigns and Instantly campaigns.
+ *
+ * Links are stored on the Campaign per Instantly account: the user whose own API key is used,
+ * or null when outreach goes through the server-wide key.
+ */
+class InstantlyCampaigns {
+  /**
+   * The account a user's Instantly requests go through
+   * @param {Object} user - User document (or the request user)
+   * @returns {Object|null} The user's ID when they have their own key, otherwise null
+   */
+  getAccountOwner(user) {
+    const instantly = user?.integrations?.instantly;
+    return instantly?.enabled && instantly?.apiKey ? user._id : null;
+  }
+
+  /**
+   * The Instantly campaign to send through, creating and linking one if the campaign has none
+   * @param {Object} campaign - Campaign document
+   * @param {Object|null} owner - Account owner from getAccountOwner
+   * @param {Object} service - InstantlyService
+   * @returns {Promise<Object>} The Instantly campaign
+   */
+  async resolve(campaign, owner, service) {
+    const link = campaign.getInstantlyLink(owner);
+    if (!link) {
+      return this.createRemote(campaign, owner, service);
+    }
+
+    try {
+      return await service.getCampaign(link.campaignId);
+    } catch (error) {
+      throw new Error(`Linked Instantly campaign ${link.campaignId} could not be loaded; relink the campaign (${error.message})`);
+    }
+  }
+
+  /**
+   * Link an existing Instantly campaign
+   * @param {Object} campaign - Campaign document
+   * @param {Object|null} owner - Account owner from getAccountOwner
+   * @param {string} instantlyCampaignId - Instantly campaign ID
+   * @param {Object} service - InstantlyService
+   * @returns {Promise<Object>} The Instantly campaign
+   */
+  async link(campaign, owner, instantlyCampaignId, service) {
+    const remote = await service.getCampaign(instantlyCampaignId);
+
+    // One Instantly campaign feeds one of our campaigns
+    const linkedElsewhere = await Campaign.findOne({
+      _id: { $ne: campaign._id },
+      'instantly.links': { $elemMatch: { user: owner, campaignId: String(instantlyCampaignId) } }
+    }).select('name');
+    if (linkedElsewhere) {
+      const error = new Error(`Instantly campaign is already linked to "${linkedElsewhere.name}"`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    campaign.linkInstantlyCampaign(owner, String(instantlyCampaignId), remote?.name);
+    await campaign.save();
+
+    return remote;
+  }
+
+  /**
+   * Create an Instantly campaign for our campaign and link it
+   * @param {Object} campaign - Campaign document
+   * @param {Object|null} owner - Account owner from getAccountOwner
+   * @param {Object} service - InstantlyService
+   * @returns {Promise<Object>} The new Instantly campaign
+   */
+  async createRemote(campaign, owner, service) {
+    const remote = await service.createCampaign({
+      name: campaign.name,
+      description: campaign.description || 'Created from Sales Pipeline'
+    });
+
+    campaign.linkInstantlyCampaign(owner, String(remote.id), remote.name || campaign.name);
+    await campaign.save();
+
+    return remote;
+  }
+
+  /**
+   * Compare our campaigns with the account's Instantly campaigns
+   * @param {Object|null} owner - Account owner from getAccountOwner
+   * @param {Object} service - InstantlyService
+   * @returns {Promise<Object>} Linked pairs, broken links, unlinked email campaigns and orphaned Instantly campaigns
+   */
+  async reconcile(owner, service) {
+    const [remoteCampaigns, campaigns] = await Promise.all([
+      service.getAllCampaigns(),
+      Campaign.find({ status: { $ne: 'Archived' } }).select('name type status instantly')
+    ]);
+
+    const remoteById = new Map(remoteCampaigns.map(remote => [String(remote.id), remote]));
+    const linkedRemoteIds = new Set();
+    const report = { linked: [], brokenLinks: [], unlinkedCampaigns: [], orphanedInstantlyCampaigns: [] };
+
+    campaigns.forEach(campaign => {
+      const link = campaign.getInstantlyLink(owner);
+      const summary = { id: campaign._id, name: campaign.name, type: campaign.type, status: campaign.status };
+
+      if (!link) {
+        // Only campaigns that send email need an Instantly campaign
+        if (['Email', 'Mixed'].includes(campaign.type)) {
+          report.unlinkedCampaigns.push(summary);
+        }
+        return;
+      }
+
+      linkedRemoteIds.add(link.campaignId);
+      const remote = remoteById.get(link.campaignId);
+      if (remote) {
+        report.linked.push({
+          campaign: summary,
+          instantlyCampaign: { id: remote.id, name: remote.name, status: remote.status },
+          renamed: Boolean(link.name && remote.name !== link.name)
+        });
+      } else {
+        report.brokenLinks.push({ campaign: summary, instantlyCampaignId: link.campaignId });
+      }
+    });
+
+    report.orphanedInstantlyCampaigns = remoteCampaigns
+      .filter(remote => !linkedRemoteIds.has(String(remote.id)))
+      .map(remote => ({ id: remote.id, name: remote.name, status: remote.status }));
+
+    return report;
+  }
+}
+
+module.exports = new InstantlyCampaigns();
@@ -0,0 +1,180 @@
+const Lead = require('../models/lead');
+const Outreach = require('../models/outreach');
+const instantlyCampaigns = require('./instantlyCampaigns');
+
+const BATCH_SIZE = parseInt(process.env.INSTANTLY_PUSH_BATCH_SIZE, 10) || 100;
+const BATCHES_PER_MINUTE = 20;
+const MINUTE_MS = 60 * 1000;
+
+// Good enough to catch addresses Instantly would reject outright
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Outreach in these statuses no longer counts as the lead being in the Instantly campaign
+const CLOSED_STATUSES = ['Cancelled', 'Failed'];
+
+/**
+ * Pushes campaign leads into the linked Instantly campaign in batches and reports what
+ * happened to each lead.
+ *
+ * Per-lead results are one of: added, unconfirmed, duplicate, invalid_email, blocked or failed.
+ * Unconfirmed leads were sent in a request Instantly accepted without saying which leads it took.
+ */
+class InstantlyPush {
+  constructor() {
+    this.lastBatchAt = 0;
+  }
+
+  isValidEmail(email) {
+    return EMAIL_PATTERN.test(email || '');
+  }
+
+  // Keep batch requests within Instantly's rate limit
+  async throttle() {
+    const waitMs = this.lastBatchAt + MINUTE_MS / BATCHES_PER_MINUTE - Date.now();
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+    this.lastBatchAt = Date.now();
+  }
+
+  /**
+   * Add leads to an Instantly campaign and work out what happened to each
+   * @param {Object} service - InstantlyService
+   * @param {string} instantlyCampaignId - Instantly campaign ID
+   * @param {Array<Object>} leads - Lead documents, at most one batch
+   * @returns {Promise<Array<Object>>} One { lead, email, result, instantlyId, reason } per lead
+   */
+  async addLeads(service, instantlyCampaignId, leads) {
+    await this.throttle();
+
+    let response;
+    try {
+      response = await service.addLeadsToCampaign(instantlyCampaignId, leads.map(lead => service.mapLeadToInstantlyFormat(lead)));
+    } catch (error) {
+      return leads.map(lead => ({ lead: lead._id, email: lead.email, result: 'failed', reason: error.message }));
+    }
+
+    return this.classify(leads, response || {});
+  }
+
+  // Match the bulk add response back to the leads sent
+  classify(leads, response) {
+    // Without a per-lead breakdown the leads were probably taken, but there are no IDs to prove it;
+    // the outreach sync looks them up by email later
+    if (!Array.isArray(response.created_leads)) {
+      return leads.map(lead => ({ lead: lead._id, email: lead.email, result: 'unconfirmed' }));
+    }
+
+    const created = new Map(response.created_leads.map(item => [String(item.email).toLowerCase(), item.id]));
+
+    // Instantly only reports counts for skipped leads; attribute them by reason when there is a single one
+    const reasons = [
+      ['blocked', response.in_blocklist],
+      ['duplicate', (response.duplicated_leads || 0) + (response.duplicate_email_count || 0) + (response.skipped_count || 0)],
+      ['invalid_email', response.invalid_email_count]
+    ].filter(([, count]) => count > 0);
+    const skipReason = reasons.length === 1 ? reasons[0][0] : null;
+    const skipDetail = reasons.map(([reason, count]) => `${count} ${reason}`).join(', ') || 'not accepted by Instantly';
+
+    return leads.map(lead => {
+      const email = String(lead.email).toLowerCase();
+      if (created.has(email)) {
+        return { lead: lead._id, email: lead.email, result: 'added', instantlyId: created.get(email) };
+      }
+
+      return skipReason
+        ? { lead: lead._id, email: lead.email, result: skipReason }
+        : { lead: lead._id, email: lead.email, result: 'failed', reason: `Skipped by Instantly (${skipDetail})` };
+    });
+  }
+
+  /**
+   * Push a campaign's leads to its Instantly campaign
+   * @param {Object} campaign - Campaign document
+   * @param {Object} options
+   * @param {Object} options.service - InstantlyService
+   * @param {Object|null} options.owner - Instantly account owner (see instantlyCampaigns.getAccountOwner)
+   * @param {string} options.userId - User credited with the outreach
+   * @param {Object} [options.filter] - Lead filter: leadIds, status, source, tags
+   * @returns {Promise<Object>} Instantly campaign, counts by result and per-lead results
+   */
+  async pushCampaign(campaign, { service, owner, userId, filter = {} }) {
+    const instantlyCampaign = await instantlyCampaigns.resolve(campaign, owner, service);
+    const instantlyCampaignId = String(instantlyCampaign.id);
+
+    const query = { _id: { $in: campaign.leads } };
+    if (filter.leadIds) {
+      const wanted = new Set(filter.leadIds.map(String));
+      query._id.$in = campaign.leads.filter(id => wanted.has(String(id)));
+    }
+    if (filter.status) query.status = filter.status;
+    if (filter.source) query.source = filter.source;
+    if (filter.tags) query.tags = { $in: [].concat(filter.tags) };
+
+    // Every field mapLeadToInstantlyFormat sends
+    const leads = await Lead.find(query).select('firstName lastName email company jobTitle phone website linkedinUrl');
+
+    // Leads already pushed to this Instantly campaign are not sent again
+    const pushedLeadIds = new Set((await Outreach.distinct('lead', {
+      lead: { $in: leads.map(lead => lead._id) },
+      channel: 'Instantly',
+      'externalIds.instantlyCampaignId': instantlyCampaignId,
+      status: { $nin: CLOSED_STATUSES }
+    })).map(String));
+
+    const results = [];
+    const toSend = [];
+    const seenEmails = new Set();
+
+    leads.forEach(lead => {
+      const email = String(lead.email || '').toLowerCase();
+      if (!this.isValidEmail(email)) {
+        results.push({ lead: lead._id, email: lead.email, result: 'invalid_email' });
+      } else if (pushedLeadIds.has(String(lead._id)) || seenEmails.has(email)) {
+        results.push({ lead: lead._id, email: lead.email, result: 'duplicate' });
+      } else {
+        seenEmails.add(email);
+        toSend.push(lead);
+      }
+    });
+
+    for (let i = 0; i < toSend.length; i += BATCH_SIZE) {
+      const batchResults = await this.addLeads(service, instantlyCampaignId, toSend.slice(i, i + BATCH_SIZE));
+      results.push(...batchResults);
+
+      const now = new Date();
+      const added = batchResults.filter(result => ['added', 'unconfirmed'].includes(result.result));
+      if (added.length > 0) {
+        await Outreach.insertMany(added.map(result => ({
+          lead: result.lead,
+          campaign: campaign._id,
+          type: 'Email',
+          channel: 'Instantly',
+          status: 'Scheduled',
+          scheduledAt: now,
+          externalIds: {
+            instantlyId: result.instantlyId,
+            instantlyCampaignId
+          },
+          performedBy: userId
+        })));
+      }
+    }
+
+    const summary = { total: results.length, added: 0, unconfirmed: 0, duplicate: 0, invalid_email: 0, blocked: 0, failed: 0 };
+    results.forEach(result => {
+      summary[result.result]++;
+    });
+
+    campaign.instantly.lastPush = { pushedAt: new Date(), ...summary, results };
+    await campaign.save();
+
+    return {
+      instantlyCampaign: { id: instantlyCampaign.id, name: instantlyCampaign.name },
+      summary,
+      results
+    };
+  }
+}
+
+module.exports = new InstantlyPush();
@@ -0,0 +1,241 @@
+const Integration = require('../models/integration');
+const InstantlyService = require('./InstantlyService');
+const SalesfinityService = require('./salesfinity');
+const LinkedInService = require('./linkedin');
+const outreachService = require('./outreach');
+const capabilities = require('./capabilities');
+const encryption = require('./encryption');
+
+// Credential fields per integration, as stored under user.integrations
+const CREDENTIALS = {
+  Instantly: { key: 'instantly', fields: ['apiKey', 'accountEmail'], required: ['apiKey'] },
+  Salesfinity: { key: 'salesfinity', fields: ['apiKey', 'accountId'], required: ['apiKey', 'accountId'] },
+  LinkedIn: { key: 'linkedin', fields: ['email'], required: ['email'] }
+};
+
+// An error the controller should answer with a client status
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Connects, tests, disables and rotates users' own integration credentials,
+ * keeping a health record for each integration account
+ */
+class IntegrationManager {
+  // Integration for a URL name such as salesfinity; undefined when unknown
+  resolveName(name) {
+    return Object.keys(CREDENTIALS).find(integration => integration.toLowerCase() === String(name).toLowerCase());
+  }
+
+  // A client for the given credentials
+  createService(integration, credentials) {
+    switch (integration) {
+      case 'Instantly':
+        return new InstantlyService(credentials.apiKey);
+      case 'Salesfinity':
+        return new SalesfinityService(credentials.apiKey, credentials.accountId);
+      case 'LinkedIn':
+        // LinkedIn automation runs on the server-wide key for every user
+        return new LinkedInService(credentials.email, process.env.LINKEDIN_API_KEY);
+      default:
+        throw new Error(`Unknown integration: ${integration}`);
+    }
+  }
+
+  // The known credential fields from a request body, checked for required ones
+  pickCredentials(integration, body) {
+    const { fields, required } = CREDENTIALS[integration];
+    const credentials = {};
+    fields.forEach(field => {
+      if (body[field] !== undefined && body[field] !== '') {
+        credentials[field] = String(body[field]).trim();
+      }
+    });
+
+    const missing = required.filter(field => !credentials[field]);
+    if (missing.length > 0) {
+      throw requestError(`${integration} needs ${missing.join(' and ')}`);
+    }
+
+    return credentials;
+  }
+
+  /**
+   * Check a connection and record the outcome on the account's health
+   * @param {string} integration - Instantly, Salesfinity or LinkedIn
+   * @param {Object} service - Client for the account
+   * @param {Object|null} owner - Account owner; null for the server-wide key
+   * @returns {Promise<{ validation: Object, record: Object }>}
+   */
+  async check(integration, service, owner) {
+    const validation = await service.validateConnection();
+    const record = await Integration.findOneAndUpdate(
+      { integration, user: owner },
+      {},
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    record.recordCheck(validation.valid, validation.error);
+    await record.save();
+
+    return { validation, record };
+  }
+
+  /**
+   * Connect a user's own account, replacing any credentials they had
+   * @param {Object} user - User document
+   * @param {string} integration - Instantly, Salesfinity or LinkedIn
+   * @param {Object} body - Credential fields
+   * @returns {Promise<Object>} Integration status
+   */
+  async connect(user, integration, body) {
+    const credentials = this.pickCredentials(integration, body);
+    const service = this.createService(integration, credentials);
+
+    const { validation } = await this.check(integration, service, user._id);
+    if (!validation.valid) {
+      throw requestError(`Could not connect to ${integration}: ${validation.error}`);
+    }
+
+    user.integrations[CREDENTIALS[integration].key] = { ...credentials, enabled: true };
+    await user.save();
+    outreachService.initUserServices(user);
+
+    await capabilities.probe(integration, service, user._id);
+
+    return this.getStatus(user, integration);
+  }
+
+  /**
+   * Test the account a user works through: their own, or the server's when they have none
+   * @param {Object} user - User document (or the request user)
+   * @param {string} integration - Instantly, Salesfinity or LinkedIn
+   * @returns {Promise<Object>} Test result with the account's health
+   */
+  async test(user, integration) {
+    outreachService.initUserServices(user);
+    const owner = capabilities.getOwner(user, integration);
+    const service = outreachService.getService(owner || 'default', integration);
+    if (!service) {
+      throw requestError(`${integration} is not connected`);
+    }
+
+    const { validation, record } = await this.check(integration, service, owner);
+
+    return {
+      integration,
+      account: owner ? 'user' : 'server',
+      valid: validation.valid,
+      error: validation.error || null,
+      health: record.health
+    };
+  }
+
+  /**
+   * Stop using a user's own account; their outreach falls back to the server-wide key
+   * @param {Object} user - User document
+   * @param {string} integration - Instantly, Salesfinity or LinkedIn
+   * @returns {Promise<Object>} Integration status
+   */
+  async disable(user, integration) {
+    const settings = user.integrations[CREDENTIALS[integration].key];
+    if (!settings?.enabled) {
+      throw requestError(`${integration} is not connected`);
+    }
+
+    settings.enabled = false;
+    await user.save();
+    outreachService.removeUserService(user._id, integration);
+
+    return this.getStatus(user, integration);
+  }
+
+  /**
+   * Replace a connected account's API key. The new key must work before the old one is dropped.
+   * @param {Object} user - User document
+   * @param {string} integration - Instantly or Salesfinity
+   * @param {Object} body - { apiKey }
+   * @returns {Promise<Object>} Integration status
+   */
+  async rotateKey(user, integration, body) {
+    if (!CREDENTIALS[integration].fields.includes('apiKey')) {
+      throw requestError(`${integration} has no per-user API key; reconnect to change the account`);
+    }
+
+    const settings = user.integrations[CREDENTIALS[integration].key];
+    if (!settings?.enabled || !settings.apiKey) {
+      throw requestError(`Connect ${integration} before rotating its key`);
+    }
+    if (!body.apiKey) {
+      throw requestError('apiKey is required');
+    }
+
+    const current = {};
+    CREDENTIALS[integration].fields.forEach(field => {
+      current[field] = settings[field];
+    });
+    const credentials = this.pickCredentials(integration, { ...current, apiKey: body.apiKey });
+    const service = this.createService(integration, credentials);
+
+    // A rejected new key says nothing about the health of the key in use
+    const validation = await service.validateConnection();
+    if (!validation.valid) {
+      throw requestError(`The new ${integration} key was rejected, so the current key is still in use: ${validation.error}`);
+    }
+
+    settings.apiKey = credentials.apiKey;
+    await user.save();
+    outreachService.initUserServices(user);
+
+    // The new key may be on a different plan
+    await capabilities.probe(integration, service, user._id);
+
+    return this.getStatus(user, integration);
+  }
+
+  /**
+   * Connection status of one integration for a user, with API keys masked
+   * @param {Object} user - User document (or the request user)
+   * @param {string} integration - Instantly, Salesfinity or LinkedIn
+   * @returns {Promise<Object>}
+   */
+  async getStatus(user, integration) {
+    const { key, fields } = CREDENTIALS[integration];
+    const settings = user.integrations?.[key] || {};
+    const owner = capabilities.getOwner(user, integration);
+    const record = await Integration.findOne({ integration, user: owner });
+
+    const credentials = {};
+    fields.forEach(field => {
+      if (field === 'apiKey') {
+        credentials.apiKey = encryption.mask(settings.apiKey);
+      } else {
+        credentials[field] = settings[field] || null;
+      }
+    });
+
+    return {
+      integration,
+      connected: Boolean(owner),
+      enabled: Boolean(settings.enabled),
+      account: owner ? 'user' : 'server',
+      credentials,
+      tier: record?.tier || 'Unknown',
+      health: record?.health || { status: 'Unknown', consecutiveFailures: 0 }
+    };
+  }
+
+  /**
+   * Connection status of every integration for a user
+   * @param {Object} user - User document (or the request user)
+   * @returns {Promise<Array<Object>>}
+   */
+  async listForUser(user) {
+    return Promise.all(Object.keys(CREDENTIALS).map(integration => this.getStatus(user, integration)));
+  }
+}
+
+module.exports = new IntegrationManager();
@@ -0,0 +1,158 @@
+const AssignmentRule = require('../models/assignmentRule');
+const Lead = require('../models/lead');
+const Team = require('../models/team');
+const User = require('../models/user');
+
+/**
+ * Assigns leads to reps using the active assignment rules
+ */
+class LeadAssignmentService {
+  /**
+   * The first active rule, by priority, whose conditions the lead meets
+   * @param {Object} lead - Lead document or plain lead data
+   * @param {Array<Object>} [rules] - Active rules, when already loaded
+   * @returns {Promise<Object|null>} Rule document
+   */
+  async findRule(lead, rules) {
+    const candidates = rules || await this.getActiveRules();
+    return candidates.find(rule => rule.matches(lead)) || null;
+  }
+
+  // Active rules in the order they are tried
+  async getActiveRules() {
+    return AssignmentRule.find({ active: true }).sort('priority createdAt');
+  }
+
+  // Active members of a rule's team; null when the team is gone or inactive
+  async getReps(rule) {
+    const team = await Team.findById(rule.team);
+    if (!team || !team.active) return null;
+
+    const reps = await User.find({ _id: { $in: team.members }, active: true }).select('_id');
+    return { team, reps: reps.map(rep => rep._id) };
+  }
+
+  /**
+   * Pick the member of the rule's team who gets the next lead
+   * @param {Object} rule - Assignment rule
+   * @param {Array} reps - IDs of the team's active members
+   * @param {Map} openCounts - Open leads per member, updated as leads are assigned
+   * @returns {Promise<Object|null>} User ID, or null when nobody can take the lead
+   */
+  async pickRep(rule, reps, openCounts) {
+    if (reps.length === 0) return null;
+
+    switch (rule.strategy) {
+      case 'Weighted': {
+        const weights = reps.map(rep => {
+          const entry = rule.weights.find(w => String(w.user) === String(rep));
+          return Math.max(entry ? entry.weight : 1, 0);
+        });
+        return this.pickWeighted(reps, weights);
+      }
+
+      case 'Capacity': {
+        await this.loadOpenCounts(reps, openCounts);
+        const available = reps.filter(rep => openCounts.get(String(rep)) < rule.maxOpenLeads);
+        if (available.length === 0) return null;
+
+        // The member with the most room left
+        return available.reduce((best, rep) => (
+          openCounts.get(String(rep)) < openCounts.get(String(best)) ? rep : best
+        ));
+      }
+
+      default: {
+        // Advance the shared position atomically so concurrent requests take turns
+        const { assignedCount } = await AssignmentRule.findByIdAndUpdate(
+          rule._id,
+          { $inc: { assignedCount: 1 }, lastAssignedAt: new Date() },
+          { new: true }
+        );
+        return reps[(assignedCount - 1) % reps.length];
+      }
+    }
+  }
+
+  // Pick a rep in proportion to their weight; nobody when every weight is zero, so the team holds the lead
+  pickWeighted(reps, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) return null;
+
+    let roll = Math.random() * total;
+    for (let i = 0; i < reps.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return reps[i];
+    }
+    return reps[reps.length - 1];
+  }
+
+  // Count open leads for members not counted yet in this batch
+  async loadOpenCounts(reps, openCounts) {
+    const missing = reps.filter(rep => !openCounts.has(String(rep)));
+    if (missing.length === 0) return;
+
+    const counts = await Lead.aggregate([
+      { $match: { assignedTo: { $in: missing }, status: { $in: Lead.openStatuses } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+    missing.forEach(rep => {
+      const found = counts.find(c => String(c._id) === String(rep));
+      openCounts.set(String(rep), found ? found.count : 0);
+    });
+  }
+
+  /**
+   * Assign unassigned leads using the rules. Leads that already have an owner or match no rule are left alone.
+   * Call before saving; the leads are changed in place.
+   * @param {Array<Object>} leads - Lead documents
+   * @param {Object} [options]
+   * @param {Object} [options.assignedBy] - User who asked for the assignment; empty for automatic routing
+   * @param {string} [options.reason] - Reason recorded in the assignment history
+   * @param {string} [options.note] - Note recorded in the assignment history
+   * @param {boolean} [options.force] - Also reassign leads that already have an owner
+   * @returns {Promise<{ assigned: number, toTeam: number, unmatched: number }>}
+   */
+  async assignAll(leads, { assignedBy, reason = 'Rule', note, force = false } = {}) {
+    const rules = await this.getActiveRules();
+    const teams = new Map();
+    const openCounts = new Map();
+    const summary = { assigned: 0, toTeam: 0, unmatched: 0 };
+
+    for (const lead of leads) {
+      if (!force && (lead.assignedTo || lead.assignedTeam)) continue;
+
+      const rule = await this.findRule(lead, rules);
+      if (!rule) {
+        summary.unmatched++;
+        continue;
+      }
+
+      if (!teams.has(String(rule._id))) {
+        teams.set(String(rule._id), await this.getReps(rule));
+      }
+      const members = teams.get(String(rule._id));
+      if (!members) {
+        summary.unmatched++;
+        continue;
+      }
+
+      const rep = await this.pickRep(rule, members.reps, openCounts);
+      lead.assign({ user: rep, team: members.team._id, assignedBy, rule: rule._id, reason, note });
+
+      if (rep) {
+        summary.assigned++;
+        if (openCounts.has(String(rep))) {
+          openCounts.set(String(rep), openCounts.get(String(rep)) + 1);
+        }
+      } else {
+        // Everyone is at capacity or weighted at zero, so the team holds the lead until someone frees up
+        summary.toTeam++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new LeadAssignmentService();
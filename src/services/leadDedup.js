@@ -0,0 +1,311 @@
+const Lead = require('../models/lead');
+const Outreach = require('../models/outreach');
+const Campaign = require('../models/campaign');
+const SequenceEnrollment = require('../models/sequenceEnrollment');
+
+// Mailboxes that ignore dots in the local part
+const DOTLESS_DOMAINS = { 'gmail.com': 'gmail.com', 'googlemail.com': 'gmail.com' };
+
+// Legal-form words dropped when comparing company names
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|plc|bv)\b/g;
+
+// Lead fields copied from a duplicate when the surviving lead leaves them empty
+const FILL_FIELDS = ['phone', 'company', 'jobTitle', 'linkedinUrl', 'website', 'industry', 'location'];
+
+// Fields a merge request can set on the surviving lead directly
+const OVERRIDE_FIELDS = ['firstName', 'lastName', 'email', ...FILL_FIELDS, 'companySize', 'status', 'source'];
+
+// How far along a status is; a merged lead keeps the furthest one
+const STATUS_RANK = { Archived: 0, New: 1, Contacted: 2, Qualified: 3, Proposal: 4, Lost: 5, Won: 6 };
+
+// Lowercase, strip accents and punctuation
+const simplify = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Finds leads that are probably the same person and merges them into one
+ */
+class LeadDedupService {
+  constructor() {
+    // Ways two leads can match, and the key each one compares
+    this.matchers = {
+      email: lead => this.emailKey(lead.email),
+      linkedin: lead => this.linkedinKey(lead.linkedinUrl),
+      nameCompany: lead => this.nameCompanyKey(lead),
+      phone: lead => lead.phoneE164 || Lead.normalizePhone(lead.phone)
+    };
+  }
+
+  // jane.doe+news@googlemail.com -> janedoe@gmail.com
+  emailKey(email) {
+    if (!email) return null;
+    const [local, domain] = String(email).toLowerCase().trim().split('@');
+    if (!local || !domain) return null;
+
+    const name = local.split('+')[0];
+    const host = DOTLESS_DOMAINS[domain] || domain;
+    return `${DOTLESS_DOMAINS[domain] ? name.replace(/\./g, '') : name}@${host}`;
+  }
+
+  // https://www.linkedin.com/in/Jane-Doe/?trk=x -> in/jane-doe
+  linkedinKey(url) {
+    if (!url) return null;
+    const match = String(url).toLowerCase().match(/linkedin\.com\/(in|pub)\/([^/?#\s]+)/);
+    return match ? `${match[1]}/${match[2]}` : null;
+  }
+
+  // Jane Doe at "Acme, Inc." -> jane doe|acme
+  nameCompanyKey({ firstName, lastName, company }) {
+    const name = `${simplify(firstName)} ${simplify(lastName)}`.trim();
+    const companyName = simplify(company).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+    if (!simplify(firstName) || !simplify(lastName) || !companyName) return null;
+    return `${name}|${companyName}`;
+  }
+
+  /**
+   * Group leads that share a normalized email, LinkedIn URL, name and company, or phone.
+   * Matches chain, so A-B on email and B-C on phone make one group of three.
+   * @param {Object} filter - Leads to compare, already scoped to the user
+   * @param {Object} [options]
+   * @param {Array<string>} [options.matches] - Matchers to use; all by default
+   * @param {number} [options.limit=50] - Groups to return
+   * @param {number} [options.skip=0] - Groups to skip
+   * @returns {Promise<{ totalGroups: number, groups: Array }>} Largest groups first
+   */
+  async findDuplicates(filter, { matches = Object.keys(this.matchers), limit = 50, skip = 0 } = {}) {
+    const leads = [];
+    const parent = [];
+    const matchedOn = [];
+    const firstByKey = new Map();
+
+    const root = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    const cursor = Lead.find(filter)
+      .select('firstName lastName email phone phoneE164 company jobTitle linkedinUrl status assignedTo lastContactedDate createdAt updatedAt')
+      .lean()
+      .cursor();
+
+    for await (const lead of cursor) {
+      const index = leads.push(lead) - 1;
+      parent.push(index);
+      matchedOn.push(new Set());
+
+      matches.forEach(type => {
+        const key = this.matchers[type](lead);
+        if (!key) return;
+
+        const id = `${type}:${key}`;
+        if (!firstByKey.has(id)) {
+          firstByKey.set(id, index);
+          return;
+        }
+
+        const other = firstByKey.get(id);
+        parent[root(index)] = root(other);
+        matchedOn[index].add(type);
+        matchedOn[other].add(type);
+      });
+    }
+
+    const byRoot = new Map();
+    leads.forEach((lead, index) => {
+      const group = byRoot.get(root(index)) || [];
+      group.push(index);
+      byRoot.set(root(index), group);
+    });
+
+    const groups = [...byRoot.values()]
+      .filter(group => group.length > 1)
+      .sort((a, b) => b.length - a.length);
+
+    return {
+      totalGroups: groups.length,
+      groups: groups.slice(skip, skip + limit).map(group => {
+        const members = group.map(index => ({ ...leads[index], matchedOn: [...matchedOn[index]] }));
+        return {
+          matchedOn: [...new Set(members.flatMap(member => member.matchedOn))],
+          suggestedSurvivor: this.suggestSurvivor(members)._id,
+          leads: members
+        };
+      })
+    };
+  }
+
+  // The most complete lead, then the oldest one
+  suggestSurvivor(leads) {
+    const filled = lead => FILL_FIELDS.filter(field => !isEmpty(lead[field])).length;
+    return [...leads].sort((a, b) => filled(b) - filled(a) || new Date(a.createdAt) - new Date(b.createdAt))[0];
+  }
+
+  /**
+   * Merge duplicates into the surviving lead: combine their fields, move their outreach,
+   * campaign memberships and sequence enrollments over, then delete them
+   * @param {Object} survivor - Lead document that is kept
+   * @param {Array<Object>} duplicates - Lead documents merged into it
+   * @param {Object} [options]
+   * @param {Object} [options.mergedBy] - ID of the user merging
+   * @param {Object} [options.fields] - Values to set on the surviving lead, e.g. { email }
+   * @returns {Promise<Object>} The surviving lead and what was moved
+   */
+  async merge(survivor, duplicates, { mergedBy, fields = {} } = {}) {
+    const duplicateIds = duplicates.map(lead => lead._id);
+    const originalEmail = survivor.email;
+
+    this.combine(survivor, duplicates, mergedBy);
+    survivor.set(Object.fromEntries(
+      OVERRIDE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+    ));
+
+    // Check everything up front, before anything is written
+    const validationError = survivor.validateSync();
+    if (validationError) {
+      validationError.statusCode = 400;
+      throw validationError;
+    }
+    if (survivor.isModified('email')
+      && await Lead.exists({ email: survivor.email, _id: { $nin: [survivor._id, ...duplicateIds] } })) {
+      const error = new Error('A lead with this email already exists');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // The survivor is saved before anything is moved or deleted, so a failed save loses nothing.
+    // A duplicate's email can only be taken over once that duplicate is gone.
+    const newEmail = survivor.email;
+    const takesDuplicateEmail = duplicates.some(lead => lead.email === newEmail);
+    if (takesDuplicateEmail) survivor.email = originalEmail;
+    await survivor.save();
+
+    const moved = await this.reparent(survivor._id, duplicateIds);
+    await Lead.deleteMany({ _id: { $in: duplicateIds } });
+
+    if (takesDuplicateEmail) {
+      survivor.email = newEmail;
+      await survivor.save();
+    }
+
+    return { lead: survivor, merged: duplicateIds.length, moved };
+  }
+
+  // Fill the survivor's gaps from the duplicates, in the order given
+  combine(survivor, duplicates, mergedBy) {
+    const now = new Date();
+
+    FILL_FIELDS.forEach(field => {
+      if (!isEmpty(survivor[field])) return;
+      const source = duplicates.find(lead => !isEmpty(lead[field]));
+      if (source) survivor[field] = source[field];
+    });
+
+    if (survivor.companySize === 'Unknown') {
+      const source = duplicates.find(lead => lead.companySize && lead.companySize !== 'Unknown');
+      if (source) survivor.companySize = source.companySize;
+    }
+
+    // A deal won or lost on any copy applies to the person
+    duplicates.forEach(lead => {
+      if ((STATUS_RANK[lead.status] || 0) > (STATUS_RANK[survivor.status] || 0)) survivor.status = lead.status;
+    });
+
+    survivor.tags = [...new Set([survivor, ...duplicates].flatMap(lead => lead.tags || []))];
+
+    const notes = [...new Set([survivor, ...duplicates].map(lead => lead.notes).filter(Boolean))];
+    if (notes.length > 0) survivor.notes = notes.join('\n\n');
+
+    // The survivor's own custom fields win over the duplicates'
+    survivor.customFields = Object.assign({}, ...[...duplicates].reverse().map(lead => lead.customFields || {}), survivor.customFields || {});
+    survivor.markModified('customFields');
+
+    const contacted = [survivor, ...duplicates].map(lead => lead.lastContactedDate).filter(Boolean);
+    if (contacted.length > 0) survivor.lastContactedDate = new Date(Math.max(...contacted.map(Number)));
+
+    // Without an owner of its own, the survivor takes over the first duplicate's
+    const owner = survivor.assignedTo || survivor.assignedTeam
+      ? null
+      : duplicates.find(lead => lead.assignedTo || lead.assignedTeam);
+    if (owner) {
+      survivor.assignedTo = owner.assignedTo;
+      survivor.assignedTeam = owner.assignedTeam;
+    }
+
+    // Keep the duplicates' ownership history, closing entries for owners that did not carry over
+    const history = duplicates.flatMap(lead => lead.assignmentHistory.map(entry => ({
+      ...entry.toObject(),
+      unassignedAt: entry.unassignedAt || (lead === owner ? undefined : now)
+    })));
+    survivor.assignmentHistory = [...survivor.assignmentHistory.map(entry => entry.toObject()), ...history]
+      .sort((a, b) => new Date(a.assignedAt) - new Date(b.assignedAt));
+
+    survivor.mergedFrom = [
+      ...survivor.mergedFrom.map(entry => entry.toObject()),
+      ...duplicates.flatMap(lead => [
+        ...lead.mergedFrom.map(entry => entry.toObject()),
+        { lead: lead._id, email: lead.email, mergedAt: now, mergedBy }
+      ])
+    ];
+
+    return survivor;
+  }
+
+  // Point everything that referenced the duplicates at the survivor
+  async reparent(survivorId, duplicateIds) {
+    const outreach = await Outreach.updateMany(
+      { lead: { $in: duplicateIds } },
+      { $set: { lead: survivorId } }
+    );
+
+    const campaignIds = await Campaign.distinct('_id', { leads: { $in: duplicateIds } });
+    if (campaignIds.length > 0) {
+      await Campaign.updateMany({ _id: { $in: campaignIds } }, { $addToSet: { leads: survivorId } });
+      await Campaign.updateMany({ _id: { $in: campaignIds } }, { $pull: { leads: { $in: duplicateIds } } });
+      await Campaign.updateMany({ _id: { $in: campaignIds } }, [{ $set: { 'metrics.totalLeads': { $size: '$leads' } } }]);
+    }
+
+    // Salesfinity contacts already pushed for a duplicate now stand for the survivor
+    await Campaign.updateMany(
+      { 'salesfinity.contacts.lead': { $in: duplicateIds } },
+      { $set: { 'salesfinity.contacts.$[contact].lead': survivorId } },
+      { arrayFilters: [{ 'contact.lead': { $in: duplicateIds } }] }
+    );
+
+    // A lead can be in a sequence once: the survivor's own enrollment wins, then the most recently updated one
+    const enrolled = new Set((await SequenceEnrollment.distinct('sequence', { lead: survivorId })).map(String));
+    const enrollments = await SequenceEnrollment.find({ lead: { $in: duplicateIds } }).sort('-updatedAt');
+    let movedEnrollments = 0;
+    let droppedEnrollments = 0;
+
+    for (const enrollment of enrollments) {
+      if (enrolled.has(String(enrollment.sequence))) {
+        await enrollment.deleteOne();
+        droppedEnrollments++;
+        continue;
+      }
+
+      enrolled.add(String(enrollment.sequence));
+      enrollment.lead = survivorId;
+      await enrollment.save();
+      movedEnrollments++;
+    }
+
+    return {
+      outreach: outreach.modifiedCount,
+      campaigns: campaignIds.length,
+      enrollments: movedEnrollments,
+      droppedEnrollments
+    };
+  }
+}
+
+module.exports = new LeadDedupService();
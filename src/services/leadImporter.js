@@ -0,0 +1,507 @@
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const Lead = require('../models/lead');
+const LeadImport = require('../models/leadImport');
+const access = require('./access');
+const leadAssignment = require('./leadAssignment');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CHUNK_SIZE = 500;
+const MAX_ROWS = parseInt(process.env.LEAD_IMPORT_MAX_ROWS, 10) || 50000;
+// Files with more rows than this run in the background
+const SYNC_ROW_LIMIT = parseInt(process.env.LEAD_IMPORT_SYNC_ROWS, 10) || 500;
+const PREVIEW_LIMIT = 1000;
+const ERROR_LIMIT = 5000;
+
+// Lead fields a column can map to, besides customFields.<name>
+const FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'company', 'jobTitle', 'linkedinUrl', 'website',
+  'industry', 'location', 'companySize', 'status', 'source', 'tags', 'notes'
+];
+
+// Column names recognized without a mapping, besides the field names themselves
+const ALIASES = {
+  firstName: ['first', 'first name', 'given name'],
+  lastName: ['last', 'last name', 'surname', 'family name'],
+  email: ['email address', 'e-mail', 'work email'],
+  phone: ['phone number', 'mobile', 'telephone', 'direct phone'],
+  company: ['company name', 'organization', 'account name'],
+  jobTitle: ['title', 'job title', 'position'],
+  linkedinUrl: ['linkedin', 'linkedin url', 'linkedin profile'],
+  website: ['url', 'company website', 'domain'],
+  companySize: ['company size', 'employees', 'headcount'],
+  industry: ['sector'],
+  location: ['city', 'country', 'region'],
+  status: ['lead status'],
+  source: ['lead source'],
+  tags: ['tag', 'labels'],
+  notes: ['note', 'comments']
+};
+
+const ENUMS = {
+  companySize: Lead.schema.path('companySize').enumValues,
+  status: Lead.schema.path('status').enumValues,
+  source: Lead.schema.path('source').enumValues
+};
+
+// Lowercase letters and digits only, for comparing headers and enum values
+const simplify = value => String(value).toLowerCase().replace(/[^a-z0-9+]/g, '');
+
+const HEADER_LOOKUP = new Map(
+  FIELDS.flatMap(field => [field, ...(ALIASES[field] || [])].map(name => [simplify(name), field]))
+);
+
+// An error the controller should answer with a client status
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Imports leads from CSV and XLSX files: maps columns to lead fields, validates and normalizes
+ * each row, and creates, updates or skips leads by email
+ */
+class LeadImporter {
+  get syncRowLimit() {
+    return SYNC_ROW_LIMIT;
+  }
+
+  /**
+   * Read an uploaded file into rows
+   * @param {Object} file - Uploaded file ({ originalname, buffer })
+   * @returns {Promise<{ fileType: string, headers: Array<string>, rows: Array<{ row: number, values: Object }> }>}
+   */
+  async parseFile(file) {
+    const extension = file.originalname.split('.').pop().toLowerCase();
+    let parsed;
+
+    if (extension === 'csv') {
+      parsed = { fileType: 'csv', ...this.parseCsv(file.buffer) };
+    } else if (extension === 'xlsx') {
+      parsed = { fileType: 'xlsx', ...await this.parseXlsx(file.buffer) };
+    } else {
+      throw requestError('Only .csv and .xlsx files can be imported');
+    }
+
+    if (parsed.rows.length === 0) {
+      throw requestError('The file has no data rows');
+    }
+    if (parsed.rows.length > MAX_ROWS) {
+      throw requestError(`The file has ${parsed.rows.length} rows; at most ${MAX_ROWS} can be imported at once`);
+    }
+
+    return parsed;
+  }
+
+  parseCsv(buffer) {
+    let records;
+    try {
+      records = parse(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true, trim: true });
+    } catch (error) {
+      throw requestError(`Could not read the CSV file: ${error.message}`);
+    }
+
+    const [headers = [], ...data] = records;
+    return {
+      headers,
+      // Row numbers as shown in a spreadsheet, counting the header as row 1
+      rows: data.map((cells, index) => ({ row: index + 2, values: this.toValues(headers, cells) }))
+    };
+  }
+
+  async parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw requestError(`Could not read the XLSX file: ${error.message}`);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { headers: [], rows: [] };
+
+    const cellsOf = row => Array.from({ length: sheet.columnCount }, (_, i) => this.cellText(row.getCell(i + 1).value));
+    const headers = cellsOf(sheet.getRow(1));
+    const rows = [];
+
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const cells = cellsOf(row);
+      if (cells.some(cell => cell !== '')) {
+        rows.push({ row: rowNumber, values: this.toValues(headers, cells) });
+      }
+    });
+
+    return { headers, rows };
+  }
+
+  // Text of an XLSX cell, whatever kind of value it holds
+  cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+      if (value.richText) return value.richText.map(part => part.text).join('').trim();
+      if (value.text !== undefined) return String(value.text).trim();
+      if (value.result !== undefined) return this.cellText(value.result);
+      return '';
+    }
+    return String(value).trim();
+  }
+
+  toValues(headers, cells) {
+    const values = {};
+    headers.forEach((header, index) => {
+      if (header) values[header] = cells[index] === undefined ? '' : String(cells[index]).trim();
+    });
+    return values;
+  }
+
+  // Column -> field object from stored { column, field } pairs
+  toColumnObject(columns) {
+    return Array.isArray(columns) ? Object.fromEntries(columns.map(({ column, field }) => [column, field])) : columns;
+  }
+
+  /**
+   * Work out which lead field each column fills
+   * @param {Array<string>} headers - File columns
+   * @param {Object|Array} [columns] - Column -> field object or { column, field } pairs; columns are matched by name when left out
+   * @returns {{ columns: Object, unmappedColumns: Array<string> }}
+   */
+  resolveColumns(headers, columns) {
+    const given = columns && this.toColumnObject(columns);
+    const resolved = {};
+    const unmappedColumns = [];
+
+    headers.filter(Boolean).forEach(header => {
+      const field = given ? given[header] : HEADER_LOOKUP.get(simplify(header));
+      if (!field) {
+        unmappedColumns.push(header);
+        return;
+      }
+      if (!FIELDS.includes(field) && !/^customFields\.[\w-]+$/.test(field)) {
+        throw requestError(`Column "${header}" maps to unknown lead field "${field}"`);
+      }
+      resolved[header] = field;
+    });
+
+    const mapped = Object.values(resolved);
+    if (!mapped.includes('email')) {
+      throw requestError('No column maps to email, which is needed to import leads');
+    }
+
+    return { columns: resolved, unmappedColumns };
+  }
+
+  /**
+   * Turn a file row into lead data, normalized and checked against the lead schema
+   * @param {Object} values - Column -> cell text
+   * @param {Object} columns - Column -> lead field
+   * @param {Object} defaults - Values for fields the row leaves empty
+   * @returns {{ data: Object, defaulted: Array<string>, errors: Array<{ field: string, value: string, message: string, required?: boolean }> }}
+   */
+  prepareRow(values, columns, defaults = {}) {
+    const data = { customFields: {} };
+    const defaulted = [];
+    const errors = [];
+    const fail = (field, value, message, required) => errors.push({
+      field,
+      value: value === undefined ? '' : String(value),
+      message,
+      ...(required && { required })
+    });
+
+    Object.entries(columns).forEach(([column, field]) => {
+      const value = values[column];
+      if (value === undefined || value === '') return;
+
+      if (field.startsWith('customFields.')) {
+        data.customFields[field.slice('customFields.'.length)] = value;
+      } else if (field === 'tags') {
+        data.tags = value.split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+      } else {
+        data[field] = value;
+      }
+    });
+
+    Object.entries(defaults || {}).forEach(([field, value]) => {
+      if (data[field] === undefined || data[field] === '') {
+        data[field] = value;
+        defaulted.push(field);
+      }
+    });
+
+    if (data.email !== undefined) {
+      data.email = String(data.email).trim().toLowerCase();
+      if (!EMAIL_PATTERN.test(data.email)) fail('email', data.email, 'Not a valid email address');
+    }
+
+    if (data.phone !== undefined) {
+      const phone = Lead.normalizePhone(data.phone);
+      if (phone) {
+        data.phone = phone;
+      } else {
+        fail('phone', data.phone, 'Not a valid phone number');
+        delete data.phone;
+      }
+    }
+
+    // Accept enum values written differently, e.g. "cold call" or "11 - 50"
+    Object.entries(ENUMS).forEach(([field, allowed]) => {
+      if (data[field] === undefined) return;
+      const match = allowed.find(option => simplify(option) === simplify(data[field]));
+      if (match) {
+        data[field] = match;
+      } else {
+        fail(field, data[field], `Must be one of: ${allowed.join(', ')}`);
+        delete data[field];
+      }
+    });
+
+    // Required fields and anything else the schema checks
+    const validation = new Lead({ ...data, createdBy: null }).validateSync();
+    Object.values(validation?.errors || {}).forEach(error => {
+      if (error.path !== 'createdBy' && !errors.some(e => e.field === error.path)) {
+        fail(error.path, error.value, error.kind === 'required' ? 'Required' : error.message, error.kind === 'required');
+      }
+    });
+
+    return { data, defaulted, errors };
+  }
+
+  // Readable message for a failed insert
+  describeWriteError(error) {
+    if (error.code === 11000) {
+      return 'A lead with this email already exists';
+    }
+    return error.errmsg || error.message;
+  }
+
+  /**
+   * Create the import job and run it: right away for small files, in the background for large ones
+   * @param {Object} options
+   * @param {Object} options.user - The request user
+   * @param {Object} options.file - Uploaded file
+   * @param {Object} [options.mapping] - Saved mapping profile
+   * @param {Object} [options.columns] - Column -> field mapping given with the upload
+   * @param {Object} [options.defaults] - Values for empty fields
+   * @param {string} [options.duplicates] - Skip or Update
+   * @param {boolean} [options.dryRun] - Preview without writing
+   * @returns {Promise<{ job: Object, background: boolean }>}
+   */
+  async start({ user, file, mapping, columns, defaults, duplicates, dryRun = false }) {
+    const { fileType, headers, rows } = await this.parseFile(file);
+    const resolved = this.resolveColumns(headers, columns || mapping?.columns);
+
+    const job = await LeadImport.create({
+      fileName: file.originalname,
+      fileType,
+      dryRun,
+      mapping: mapping?._id,
+      columns: Object.entries(resolved.columns).map(([column, field]) => ({ column, field })),
+      unmappedColumns: resolved.unmappedColumns,
+      defaults: { ...(mapping?.defaults || {}), ...(defaults || {}) },
+      duplicates: duplicates || mapping?.duplicates || 'Skip',
+      totalRows: rows.length,
+      createdBy: user.id
+    });
+
+    if (rows.length <= SYNC_ROW_LIMIT) {
+      return { job: await this.run(job, rows, user), background: false };
+    }
+
+    setImmediate(() => {
+      this.run(job, rows, user).catch(error => {
+        console.error(`Lead import ${job._id} failed:`, error.message);
+      });
+    });
+    return { job, background: true };
+  }
+
+  /**
+   * Process every row of an import job in chunks
+   * @param {Object} job - LeadImport document
+   * @param {Array<Object>} rows - Parsed rows
+   * @param {Object} user - User running the import
+   * @returns {Promise<Object>} The finished job
+   */
+  async run(job, rows, user) {
+    job.status = 'Running';
+    job.startedAt = new Date();
+    await job.save();
+
+    const seenEmails = new Set();
+
+    try {
+      for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+        await this.processChunk(job, rows.slice(i, i + CHUNK_SIZE), user, seenEmails);
+        job.processedRows = Math.min(i + CHUNK_SIZE, rows.length);
+        await job.save();
+      }
+      job.status = 'Completed';
+    } catch (error) {
+      job.status = 'Failed';
+      job.error = error.message;
+    }
+
+    job.completedAt = new Date();
+    await job.save();
+    return job;
+  }
+
+  async processChunk(job, chunk, user, seenEmails) {
+    const columns = this.toColumnObject(job.columns);
+    const prepared = chunk.map(({ row, values }) => ({ row, ...this.prepareRow(values, columns, job.defaults) }));
+
+    // Leads that already have these emails, and which of them the user may change
+    const emails = prepared.filter(p => !p.errors.some(e => e.field === 'email')).map(p => p.data.email);
+    const existing = new Map((await Lead.find({ email: { $in: emails } }).select('email')).map(lead => [lead.email, lead]));
+    const visible = new Set((await Lead.find(await access.leads(user, { email: { $in: emails } })).distinct('_id')).map(String));
+
+    const toCreate = [];
+    const toUpdate = [];
+
+    prepared.forEach(({ row, data, defaulted, errors: rowErrors }) => {
+      const lead = existing.get(data.email);
+      const updating = lead && job.duplicates === 'Update';
+
+      // An update only needs the fields it changes
+      const errors = updating ? rowErrors.filter(error => !error.required) : rowErrors;
+      if (errors.length > 0) {
+        errors.forEach(({ required, ...error }) => this.addError(job, { row, ...error }));
+        return this.record(job, row, 'Fail', data.email, errors.map(e => `${e.field}: ${e.message}`).join('; '));
+      }
+
+      if (seenEmails.has(data.email)) {
+        return this.record(job, row, 'Skip', data.email, 'Same email as an earlier row');
+      }
+      seenEmails.add(data.email);
+
+      if (!lead) {
+        return toCreate.push({ row, data });
+      }
+      if (!updating) {
+        return this.record(job, row, 'Skip', data.email, 'A lead with this email already exists');
+      }
+      if (!visible.has(String(lead._id))) {
+        return this.record(job, row, 'Skip', data.email, 'A lead with this email belongs to another team');
+      }
+      // Defaults are for new leads; they would overwrite what existing leads already have
+      defaulted.forEach(field => delete data[field]);
+      toUpdate.push({ row, data, lead });
+    });
+
+    if (job.dryRun) {
+      toCreate.forEach(({ row, data }) => this.record(job, row, 'Create', data.email));
+      toUpdate.forEach(({ row, data }) => this.record(job, row, 'Update', data.email));
+      return;
+    }
+
+    await this.createLeads(job, toCreate, user);
+    await this.updateLeads(job, toUpdate);
+  }
+
+  async createLeads(job, toCreate, user) {
+    if (toCreate.length === 0) return;
+
+    const leads = toCreate.map(({ data }) => new Lead({ ...data, createdBy: user.id }));
+    await leadAssignment.assignAll(leads);
+
+    let inserted;
+    let writeErrors = [];
+    try {
+      inserted = await Lead.insertMany(leads, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      inserted = error.insertedDocs || [];
+      writeErrors = error.writeErrors;
+    }
+
+    // Match outcomes by email, since failed inserts are reported by their position in what was sent
+    const insertedEmails = new Set(inserted.map(lead => lead.email));
+    const errorsByEmail = new Map(writeErrors.map(writeError => [writeError.getOperation()?.email, writeError.err]));
+
+    toCreate.forEach(({ row, data }, index) => {
+      if (insertedEmails.has(data.email)) {
+        return this.record(job, row, 'Create', data.email);
+      }
+
+      const writeError = errorsByEmail.get(data.email);
+      const message = writeError
+        ? this.describeWriteError(writeError)
+        : leads[index].validateSync()?.message || 'The lead could not be saved';
+      this.addError(job, { row, field: 'email', value: data.email, message });
+      this.record(job, row, 'Fail', data.email, message);
+    });
+  }
+
+  // Fill in the fields the file has values for; tags and custom fields are added to
+  async updateLeads(job, toUpdate) {
+    if (toUpdate.length === 0) return;
+
+    await Lead.bulkWrite(toUpdate.map(({ data, lead }) => {
+      const { tags, customFields, email, ...fields } = data;
+      const $set = { ...fields };
+      if (fields.phone) $set.phoneE164 = fields.phone;
+      Object.entries(customFields).forEach(([name, value]) => {
+        $set[`customFields.${name}`] = value;
+      });
+
+      const update = { $set };
+      if (tags?.length) update.$addToSet = { tags: { $each: tags } };
+      return { updateOne: { filter: { _id: lead._id }, update } };
+    }), { ordered: false });
+
+    toUpdate.forEach(({ row, data }) => this.record(job, row, 'Update', data.email));
+  }
+
+  // Count a row's outcome, and keep it for the preview on dry runs
+  record(job, row, action, email, reason) {
+    const stat = { Create: 'created', Update: 'updated', Skip: 'skipped', Fail: 'failed' }[action];
+    job.stats[stat]++;
+
+    if (job.dryRun && job.preview.length < PREVIEW_LIMIT) {
+      job.preview.push({ row, action, email, reason });
+    }
+  }
+
+  addError(job, error) {
+    if (job.rowErrors.length < ERROR_LIMIT) {
+      job.rowErrors.push(error);
+    } else {
+      job.droppedErrors++;
+    }
+  }
+
+  /**
+   * Error report for an import as CSV
+   * @param {Object} job - LeadImport document
+   * @returns {string}
+   */
+  errorReport(job) {
+    const escape = value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [['row', 'field', 'value', 'message']]
+      .concat(job.rowErrors.map(e => [e.row, e.field, e.value, e.message]))
+      .map(cells => cells.map(escape).join(','));
+
+    if (job.droppedErrors > 0) {
+      lines.push(['', '', '', `${job.droppedErrors} more errors were not stored`].map(escape).join(','));
+    }
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  // Imports cut off by a restart cannot resume, since their rows were only in memory
+  async failInterrupted() {
+    return LeadImport.updateMany(
+      { status: { $in: ['Queued', 'Running'] } },
+      { status: 'Failed', error: 'The server restarted before the import finished', completedAt: new Date() }
+    );
+  }
+}
+
+module.exports = new LeadImporter();
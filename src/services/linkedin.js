@@ -1,4 +1,5 @@
 const axios = require('axios');
+const templateRenderer = require('./templateRenderer');
 
 class LinkedInService {
   constructor(email, apiKey) {
@@ -127,25 +128,18 @@ class LinkedInService {
   }
 
   // Create a connection message template with personalization
-  createConnectionTemplate(message, lead) {
+  createConnectionTemplate(message, lead, rep) {
     // LinkedIn connection requests have a 300 character limit
-    const template = message
-      .replace('{{firstName}}', lead.firstName)
-      .replace('{{lastName}}', lead.lastName)
-      .replace('{{company}}', lead.company || '[company]')
-      .replace('{{position}}', lead.jobTitle || '[position]');
+    const template = this.createMessageTemplate(message, lead, rep);
     
     // Ensure we don't exceed LinkedIn's character limit
     return template.substring(0, 300);
   }
 
   // Create a message template with personalization
-  createMessageTemplate(message, lead) {
-    return message
-      .replace('{{firstName}}', lead.firstName)
-      .replace('{{lastName}}', lead.lastName)
-      .replace('{{company}}', lead.company || '[company]')
-      .replace('{{position}}', lead.jobTitle || '[position]');
+  createMessageTemplate(message, lead, rep) {
+    const context = templateRenderer.buildContext({ lead, rep });
+    return templateRenderer.renderText(message || '', context);
   }
 
   // Map LinkedIn outreach data to our internal format
@@ -1,9 +1,19 @@
 const InstantlyService = require('./InstantlyService');
 const SalesfinityService = require('./salesfinity');
 const LinkedInService = require('./linkedin');
+const templateRenderer = require('./templateRenderer');
+const salesfinitySync = require('./salesfinitySync');
+const instantlyCampaigns = require('./instantlyCampaigns');
+const instantlyPush = require('./instantlyPush');
+const capabilities = require('./capabilities');
+const mongoose = require('mongoose');
 const Lead = require('../models/lead');
 const Outreach = require('../models/outreach');
 const Campaign = require('../models/campaign');
+const User = require('../models/user');
+
+// Default for callers that do not rate-limit integration requests
+const noThrottle = async () => {};
 
 class OutreachService {
   constructor() {
@@ -57,6 +67,17 @@ class OutreachService {
     }
   }
 
+  // Stop using a user's own credentials for a channel, falling back to the server-wide key
+  removeUserService(userId, channel) {
+    const services = {
+      Instantly: this.instantlyServices,
+      Salesfinity: this.salesfinityServices,
+      LinkedIn: this.linkedinServices
+    }[channel];
+
+    services?.delete(userId.toString());
+  }
+
   // Get appropriate service based on user and channel
   getService(userId, channel) {
     switch(channel) {
@@ -71,6 +92,17 @@ class OutreachService {
     }
   }
 
+  // The integration account a user's requests go through: theirs, or null for the server-wide key
+  getAccountOwner(userId, channel) {
+    const services = {
+      Instantly: this.instantlyServices,
+      Salesfinity: this.salesfinityServices,
+      LinkedIn: this.linkedinServices
+    }[channel];
+
+    return userId && services?.has(userId.toString()) ? userId : null;
+  }
+
   // Validate user has access to specified channel
   hasChannelAccess(user, channel) {
     switch(channel) {
@@ -90,6 +122,12 @@ class OutreachService {
     }
   }
 
+  // Load the user performing outreach, for rep / sender template variables
+  async getRep(userId) {
+    if (!mongoose.isValidObjectId(userId)) return null;
+    return User.findById(userId);
+  }
+
   // Send an email through Instantly
   async sendEmail(userId, campaignId, leadId, emailData) {
     try {
@@ -97,6 +135,8 @@ class OutreachService {
       if (!service) {
         throw new Error('Instantly service not configured');
       }
+      const owner = this.getAccountOwner(userId, 'Instantly');
+      await capabilities.assertAvailable('Instantly', owner, 'leads');
 
       // Get the lead from database
       const lead = await Lead.findById(leadId);
@@ -110,62 +150,67 @@ class OutreachService {
         throw new Error('Failed to connect to Instantly API');
       }
       
-      // Get campaign if exists, or create one if needed
-      let instantlyCampaignId;
-      
       // Get our campaign info
       const campaign = await Campaign.findById(campaignId);
       if (!campaign) {
         throw new Error('Campaign not found');
       }
       
-      // Find the campaign on Instantly or create it
-      const instantlyCampaigns = await service.getCampaigns();
-      const matchingCampaign = instantlyCampaigns.find(c => c.name === campaign.name);
+      // Use the Instantly campaign linked for this account, creating and linking one the first time
+      const instantlyCampaign = await instantlyCampaigns.resolve(campaign, owner, service);
+      const instantlyCampaignId = String(instantlyCampaign.id);
       
-      if (matchingCampaign) {
-        instantlyCampaignId = matchingCampaign.id;
-      } else {
-        // Create a new campaign on Instantly
-        const newCampaign = await service.createCampaign({
-          name: campaign.name,
-          description: campaign.description || 'Created from Sales Pipeline'
-        });
-        instantlyCampaignId = newCampaign.id;
-      }
-      
-      // Format the lead for Instantly
-      const formattedLead = {
-        email: lead.email,
-        first_name: lead.firstName || '',
-        last_name: lead.lastName || '',
-        company: lead.company || '',
-        title: lead.jobTitle || ''
-      };
+      // Personalize the copy for this lead
+      const context = templateRenderer.buildContext({
+        lead,
+        rep: await this.getRep(userId),
+        sender: { fromName: emailData.fromName, fromEmail: emailData.fromEmail }
+      });
+      const subject = templateRenderer.renderText(emailData.subject, context);
+      const body = templateRenderer.renderText(emailData.body, context);
       
-      // Add lead to the campaign
-      try {
-        await service.addLeadsToCampaign(instantlyCampaignId, [formattedLead]);
-      } catch (error) {
-        console.log('Note: Error adding lead to campaign. This may be expected if the API tier does not support it.');
+      // Add the lead to the Instantly campaign unless an earlier email already did
+      const alreadyPushed = await Outreach.exists({
+        lead: leadId,
+        channel: 'Instantly',
+        'externalIds.instantlyCampaignId': instantlyCampaignId,
+        status: { $nin: ['Cancelled', 'Failed'] }
+      });
+      let instantlyId;
+      if (!alreadyPushed) {
+        const [pushResult] = await instantlyPush.addLeads(service, instantlyCampaignId, [lead]);
+        if (pushResult.result === 'failed') {
+          throw new Error(`Lead could not be added to the Instantly campaign: ${pushResult.reason}`);
+        }
+        // A duplicate is already in the Instantly campaign, which is all that is needed; an
+        // unconfirmed lead gets its Instantly ID from the outreach sync
+        if (!['added', 'unconfirmed', 'duplicate'].includes(pushResult.result)) {
+          throw new Error(`Lead was not added to the Instantly campaign (${pushResult.result.replace('_', ' ')})`);
+        }
+        instantlyId = pushResult.instantlyId;
       }
       
       // Create an outreach record in our database
       const outreach = new Outreach({
         lead: leadId,
         campaign: campaignId,
+        sequence: emailData.sequenceId,
+        template: emailData.templateId,
+        variant: emailData.variant,
+        variantId: emailData.variantId,
         type: 'Email',
         channel: 'Instantly',
         status: 'Scheduled',
         scheduledAt: emailData.scheduledAt || new Date(),
         email: {
-          subject: emailData.subject,
-          body: emailData.body,
+          subject,
+          body,
           fromName: emailData.fromName,
           fromEmail: emailData.fromEmail
         },
         externalIds: {
-          instantlyCampaignId: instantlyCampaignId
+          instantlyId,
+          instantlyCampaignId
         },
         performedBy: userId
       });
@@ -173,7 +218,7 @@ class OutreachService {
       await outreach.save();
       
       // Start the campaign if it's not already running
-      if (matchingCampaign && matchingCampaign.status !== 1) { // Assuming 1 = running
+      if (instantlyCampaign.status !== 1) { // 1 = active
         try {
           await service.startCampaign(instantlyCampaignId);
         } catch (error) {
@@ -195,6 +240,7 @@ class OutreachService {
       if (!service) {
         throw new Error('Salesfinity service not configured for this user');
       }
+      await capabilities.assertAvailable('Salesfinity', this.getAccountOwner(userId, 'Salesfinity'), 'contactListManagement');
 
       // Get the lead from database
       const lead = await Lead.findById(leadId);
@@ -202,37 +248,34 @@ class OutreachService {
         throw new Error('Lead not found');
       }
 
-      // Create a formatted contact for Salesfinity
-      const formattedContact = service.mapLeadToSalesfinityContact(lead);
-      
-      // Add contact to Salesfinity campaign
-      const contactResult = await service.addContactsToCampaign(campaignId, [formattedContact]);
-      
-      // Schedule the call
-      const scheduleData = {
-        scheduledAt: callData.scheduledAt || new Date(),
-        notes: callData.notes || '',
-        script: callData.script || ''
-      };
-      
-      const result = await service.scheduleCall(contactResult.contacts[0].id, scheduleData);
+      const campaign = await Campaign.findById(campaignId);
+      if (!campaign) {
+        throw new Error('Campaign not found');
+      }
+
+      // Salesfinity dials from contact lists, so put the lead on the campaign's list and queue it
+      const contactListId = await salesfinitySync.addLead(campaign, lead, service);
+
+      // Keep the script personalized for this lead with the outreach for the rep
+      const context = templateRenderer.buildContext({ lead, rep: await this.getRep(userId) });
+      const script = templateRenderer.renderText(callData.script || '', context);
       
       // Create outreach record in our database
       const outreach = new Outreach({
         lead: leadId,
         campaign: campaignId,
+        sequence: callData.sequenceId,
+        template: callData.templateId,
         type: 'Call',
         channel: 'Salesfinity',
         status: 'Scheduled',
         scheduledAt: callData.scheduledAt || new Date(),
         call: {
-          notes: callData.notes || '',
-          dialedNumber: lead.phone || '',
-          outcome: 'No Answer' // Default until call is made
-        },
-        externalIds: {
-          salesfinityId: result.id
+          notes: [callData.notes, script].filter(Boolean).join('\n\n'),
+          dialedNumber: lead.phone || ''
         },
+        // salesfinityId is filled in when the call is made and reported back
+        notes: `Queued on Salesfinity contact list ${contactListId}`,
         performedBy: userId
       });
       
@@ -250,6 +293,7 @@ class OutreachService {
       if (!service) {
         throw new Error('LinkedIn service not configured for this user');
       }
+      await capabilities.assertAvailable('LinkedIn', this.getAccountOwner(userId, 'LinkedIn'), 'agents');
 
       // Get the lead from database
       const lead = await Lead.findById(leadId);
@@ -264,7 +308,8 @@ class OutreachService {
       // Create connection message with personalization
       const connectionMessage = service.createConnectionTemplate(
         messageData.message, 
-        lead
+        lead,
+        await this.getRep(userId)
       );
       
       // Format leads for LinkedIn service
@@ -306,6 +351,19 @@ class OutreachService {
       if (messageData.campaignId) {
         outreach.campaign = messageData.campaignId;
       }
+
+      if (messageData.sequenceId) {
+        outreach.sequence = messageData.sequenceId;
+      }
+
+      if (messageData.templateId) {
+        outreach.template = messageData.templateId;
+      }
+
+      if (messageData.variant) {
+        outreach.variant = messageData.variant;
+        outreach.variantId = messageData.variantId;
+      }
       
       await outreach.save();
       return outreach;
@@ -321,6 +379,7 @@ class OutreachService {
       if (!service) {
         throw new Error('LinkedIn service not configured for this user');
       }
+      await capabilities.assertAvailable('LinkedIn', this.getAccountOwner(userId, 'LinkedIn'), 'agents');
 
       // Get the lead from database
       const lead = await Lead.findById(leadId);
@@ -335,7 +394,8 @@ class OutreachService {
       // Create message with personalization
       const personalizedMessage = service.createMessageTemplate(
         messageData.message, 
-        lead
+        lead,
+        await this.getRep(userId)
       );
       
       // Format leads for LinkedIn service
@@ -377,6 +437,19 @@ class OutreachService {
       if (messageData.campaignId) {
         outreach.campaign = messageData.campaignId;
       }
+
+      if (messageData.sequenceId) {
+        outreach.sequence = messageData.sequenceId;
+      }
+
+      if (messageData.templateId) {
+        outreach.template = messageData.templateId;
+      }
+
+      if (messageData.variant) {
+        outreach.variant = messageData.variant;
+        outreach.variantId = messageData.variantId;
+      }
       
       await outreach.save();
       return outreach;
@@ -399,8 +472,14 @@ class OutreachService {
     }
   }
 
-  // Sync outreach status from third-party services
-  async syncOutreachStatus(outreachId) {
+  /**
+   * Sync outreach status from third-party services
+   * @param {string} outreachId - Outreach ID
+   * @param {Object} [options]
+   * @param {Function} [options.throttle] - Awaited before every integration request
+   * @returns {Promise<Object>} The outreach
+   */
+  async syncOutreachStatus(outreachId, { throttle = noThrottle } = {}) {
     try {
       const outreach = await Outreach.findById(outreachId);
       if (!outreach) {
@@ -409,14 +488,27 @@ class OutreachService {
 
       let updatedData = null;
 
+      // Accounts whose plan cannot report status are left as they are
+      const statusCapability = { Instantly: 'leads', Salesfinity: 'callLogs', LinkedIn: 'agents' }[outreach.channel];
+      if (statusCapability) {
+        const owner = this.getAccountOwner(outreach.performedBy, outreach.channel);
+        if (await capabilities.isAvailable(outreach.channel, owner, statusCapability) === false) {
+          return outreach;
+        }
+      }
+
+      // Records sent without an external ID are matched up by lead first
+      await this.resolveExternalId(outreach, { throttle });
+
       switch(outreach.channel) {
         case 'Instantly':
           if (outreach.externalIds.instantlyId) {
             const service = this.getService(outreach.performedBy, 'Instantly');
-            const leadStatus = await service.getLeadStatus(
-              outreach.campaign, 
-              outreach.externalIds.instantlyId
-            );
+            if (!service) {
+              throw new Error('Instantly service not configured');
+            }
+            await throttle();
+            const leadStatus = await service.getLeadStatus(outreach.externalIds.instantlyId);
             updatedData = this.mapInstantlyStatusToOutreach(leadStatus);
           }
           break;
@@ -424,14 +516,16 @@ class OutreachService {
         case 'Salesfinity':
           if (outreach.externalIds.salesfinityId) {
             const service = this.getService(outreach.performedBy, 'Salesfinity');
-            const callData = await service.getCall(outreach.externalIds.salesfinityId);
-            updatedData = service.mapSalesfinityCallToOutreach(callData, outreach.lead);
+            await throttle();
+            const { data } = await service.getCallDetails(outreach.externalIds.salesfinityId);
+            updatedData = service.mapSalesfinityCallToOutreach(data?.data || data, outreach.lead);
           }
           break;
         
         case 'LinkedIn':
           if (outreach.externalIds.linkedinActivityId) {
             const service = this.getService(outreach.performedBy, 'LinkedIn');
+            await throttle();
             const results = await service.getCampaignResults(outreach.externalIds.linkedinActivityId);
             // Find the result for this specific lead
             const leadResult = results.find(
@@ -449,6 +543,8 @@ class OutreachService {
       }
 
       if (updatedData) {
+        const previous = { status: outreach.status, outcome: outreach.call?.outcome };
+
         // Update only the relevant fields
         outreach.status = updatedData.status;
         outreach.sentAt = updatedData.sentAt;
@@ -458,6 +554,11 @@ class OutreachService {
         if (updatedData.response) outreach.response = { ...outreach.response, ...updatedData.response };
         
         await outreach.save();
+        await this.exitSequencesOnOutcome(
+          outreach,
+          previous,
+          outreach.response?.responseDate || outreach.email?.repliedAt || outreach.sentAt || new Date()
+        );
       }
 
       return outreach;
@@ -466,6 +567,121 @@ class OutreachService {
     }
   }
 
+  /**
+   * Fill in the Instantly lead or Salesfinity call ID of outreach that was recorded without one,
+   * e.g. a second email to the same Instantly campaign or a call queued on a contact list
+   * @param {Object} outreach - Outreach document; saved when an ID is found
+   * @param {Object} [options]
+   * @param {Function} [options.throttle] - Awaited before every integration request
+   * @returns {Promise<boolean>} Whether the outreach has its external ID now
+   */
+  async resolveExternalId(outreach, { throttle = noThrottle } = {}) {
+    const { externalIds = {} } = outreach;
+
+    if (outreach.channel === 'Instantly' && !externalIds.instantlyId) {
+      if (!externalIds.instantlyCampaignId) return false;
+
+      // Another email to the same Instantly campaign may already know the lead
+      const sibling = await Outreach.findOne({
+        lead: outreach.lead,
+        channel: 'Instantly',
+        'externalIds.instantlyCampaignId': externalIds.instantlyCampaignId,
+        'externalIds.instantlyId': { $nin: [null, ''] }
+      }).select('externalIds');
+
+      let instantlyId = sibling?.externalIds.instantlyId;
+      if (!instantlyId) {
+        const service = this.getService(outreach.performedBy, 'Instantly');
+        const lead = await Lead.findById(outreach.lead).select('email');
+        if (!service || !lead) return false;
+
+        await throttle();
+        const instantlyLead = await service.findLeadByEmail(externalIds.instantlyCampaignId, lead.email);
+        instantlyId = instantlyLead?.id;
+      }
+      if (!instantlyId) return false;
+
+      outreach.externalIds.instantlyId = String(instantlyId);
+      await outreach.save();
+      return true;
+    }
+
+    if (outreach.channel === 'Salesfinity' && !externalIds.salesfinityId) {
+      const service = this.getService(outreach.performedBy, 'Salesfinity');
+      const lead = await Lead.findById(outreach.lead).select('phone phoneE164');
+      if (!service || !lead) return false;
+
+      // Calls already recorded on other outreach are not matched twice
+      const recorded = await Outreach.distinct('externalIds.salesfinityId', {
+        lead: outreach.lead,
+        channel: 'Salesfinity',
+        'externalIds.salesfinityId': { $nin: [null, ''] }
+      });
+      const call = await this.findSalesfinityCall(service, lead, outreach.createdAt, { exclude: recorded, throttle });
+      if (!call) return false;
+
+      outreach.externalIds.salesfinityId = String(call._id || call.id);
+      await outreach.save();
+      return true;
+    }
+
+    return true;
+  }
+
+  // The oldest call to the lead since the given time, by the internal ID pushed with the contact or by phone;
+  // throttle is awaited before each page of the call log
+  async findSalesfinityCall(service, lead, since, { exclude = [], maxPages = 3, throttle = noThrottle } = {}) {
+    const leadId = String(lead._id);
+    const phone = lead.phoneE164 || Lead.normalizePhone(lead.phone);
+    const candidates = [];
+
+    // The call log is newest first; stop once a page reaches back past `since`
+    for (let page = 1; page <= maxPages; page++) {
+      await throttle();
+      const { data } = await service.getCallLogs(page, 100);
+
+      candidates.push(...data.filter(call => {
+        if (exclude.includes(String(call._id || call.id))) return false;
+        if (call.createdAt && new Date(call.createdAt) < since) return false;
+
+        const contact = call.contact || {};
+        const internalId = contact.customFields?.internalId || contact.custom_fields?.internalId || contact.internalId;
+        if (internalId) return String(internalId) === leadId;
+        return Boolean(phone) && [call.to, contact.phone].some(number => Lead.normalizePhone(number) === phone);
+      }));
+
+      if (data.length < 100 || data.some(call => call.createdAt && new Date(call.createdAt) < since)) break;
+    }
+
+    return candidates.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))[0] || null;
+  }
+
+  // Why an outreach in this state takes its lead out of sequences, if it does
+  getExitReason({ status, outcome } = {}) {
+    if (status === 'Replied') return 'Replied';
+    if (status === 'Bounced') return 'Bounced';
+    if (outcome === 'Meeting Scheduled') return 'Meeting Scheduled';
+    return null;
+  }
+
+  /**
+   * Stop-on-reply: pull the lead out of its sequences once it replies, bounces or books a meeting.
+   * Only a new outcome counts, so re-imported calls and re-delivered events change nothing,
+   * and sequences the lead joined after the outcome happened are left running.
+   * @param {Object} outreach - The saved outreach
+   * @param {Object} [previous] - Its status and call outcome before this write; omit for new outreach
+   * @param {Date} [occurredAt] - When the outcome happened; now by default
+   * @returns {Promise<Object|null>} What was exited and cancelled, or null when nothing applies
+   */
+  async exitSequencesOnOutcome(outreach, previous = null, occurredAt = new Date()) {
+    const reason = this.getExitReason({ status: outreach.status, outcome: outreach.call?.outcome });
+    if (!reason || (previous && this.getExitReason(previous) === reason)) return null;
+
+    // Required here because the sequence engine depends on this service
+    const sequenceEngine = require('./sequenceEngine');
+    return sequenceEngine.exitLeadFromSequences(outreach.lead, reason, outreach._id, occurredAt);
+  }
+
   // Helper to map Instantly status to our outreach format
   mapInstantlyStatusToOutreach(instantlyStatus) {
     const statusMap = {
@@ -245,108 +245,6 @@ class SalesfinityService {
     }
   }
 
-  /**
-   * SIMULATED: Get contacts from a list
-   * Note: The API does not support retrieving contacts from a list directly
-   * @param {string} listId - The ID of the contact list
-   * @returns {Promise<Object>} Simulated contacts data
-   */
-  async getContactsFromList(listId) {
-    console.log(`Simulating fetching contacts from list ${listId}`);
-    
-    // Get the actual list to use its name in the simulation
-    let listName = '';
-    try {
-      const list = await this.getContactListById(listId);
-      listName = list ? list.name : 'Unknown List';
-    } catch (e) {
-      listName = 'Unknown List';
-    }
-    
-    // Generate simulated contacts based on list name
-    const sampleContacts = [];
-    const numContacts = Math.floor(Math.random() * 8) + 3; // 3-10 contacts
-    
-    for (let i = 1; i <= numContacts; i++) {
-      sampleContacts.push({
-        _id: `sim_contact_${i}_${listId}`,
-        firstName: `FirstName${i}`,
-        lastName: `LastName${i}`,
-        email: `contact${i}@example.com`,
-        phone: `+1${Math.floor(1000000000 + Math.random() * 9000000000)}`,
-        company: `Company ${i}`,
-        list: listName
-      });
-    }
-    
-    return {
-      success: true,
-      data: sampleContacts,
-      listId,
-      listName,
-      simulation: true
-    };
-  }
-
-  /**
-   * SIMULATED: Create a contact list
-   * @param {string} name - The name of the list
-   * @param {string} description - Optional description
-   * @returns {Promise<Object>} Simulated new list data
-   */
-  async createContactList(name, description = '') {
-    console.log(`Simulating creation of contact list: ${name}`);
-    
-    return {
-      success: true,
-      data: {
-        _id: `sim_list_${Date.now()}`,
-        name,
-        user: 'simulated_user',
-        simulation: true
-      },
-      message: 'List created (simulated)'
-    };
-  }
-
-  /**
-   * SIMULATED: Add contacts to a list
-   * @param {string} listId - The ID of the list
-   * @param {Array} contacts - Array of contact objects
-   * @returns {Promise<Object>} Simulated result
-   */
-  async addContactsToList(listId, contacts) {
-    console.log(`Simulating adding ${contacts.length} contacts to list ${listId}`);
-    
-    return {
-      success: true,
-      message: `Added ${contacts.length} contacts (simulated)`,
-      listId,
-      contacts: contacts.length,
-      simulation: true
-    };
-  }
-
-  /**
-   * SIMULATED: Schedule a call
-   * @param {Object} contactInfo - Contact information
-   * @returns {Promise<Object>} Simulated call data
-   */
-  async scheduleCall(contactInfo) {
-    console.log('Simulating call scheduling for contact:', JSON.stringify(contactInfo));
-    
-    const scheduledTime = new Date();
-    scheduledTime.setHours(scheduledTime.getHours() + Math.floor(Math.random() * 24) + 1);
-    
-    return {
-      id: `sim_call_${Date.now()}`,
-      status: 'scheduled',
-      scheduledAt: scheduledTime.toISOString(),
-      contact: contactInfo,
-      simulation: true
-    };
-  }
-
   /**
    * Maps a lead to the format expected by Salesfinity
    * @param {Object} lead - The lead data
@@ -380,17 +278,16 @@ class SalesfinityService {
       lead: leadId,
       type: 'Call',
       channel: 'Salesfinity',
-      status: this.mapCallStatus(call),
+      status: this.mapOutreachStatus(call),
       scheduledAt: new Date(call.createdAt || Date.now()),
       sentAt: new Date(call.updatedAt || Date.now()),
       call: {
-        to: call.to || '',
-        from: call.from || '',
-        notes: call.transcription || '',
+        duration: call.duration ?? call.call_duration,
         dialedNumber: call.to || '',
         outcome: this.mapCallOutcome(call),
         recordingUrl: call.recording_url || '',
-        disposition: call.disposition?.external_name || 'Unknown'
+        transcription: call.transcription || '',
+        disposition: call.disposition?.external_name || call.disposition?.name || 'Unknown'
       },
       externalIds: {
         salesfinityId: call._id
@@ -398,6 +295,24 @@ class SalesfinityService {
     };
   }
 
+  /**
+   * Maps a call to one of the Outreach status values
+   * @param {Object} call - The call data
+   * @returns {string} Outreach status
+   */
+  mapOutreachStatus(call) {
+    const status = (call?.status || '').toLowerCase();
+
+    if (status === 'failed') return 'Failed';
+    if (status === 'canceled' || status === 'cancelled') return 'Cancelled';
+    if (['queued', 'scheduled', 'initiated', 'ringing', 'in-progress', 'in_progress'].includes(status)) {
+      return 'Scheduled';
+    }
+
+    // Any finished call counts as completed; how it went is kept in call.outcome
+    return 'Completed';
+  }
+
   /**
    * Helper method to map call status from API response
    * @param {Object} call - Call log object
@@ -430,12 +345,30 @@ class SalesfinityService {
   /**
    * Maps call outcome based on disposition
    * @param {Object} call - The call data
-   * @returns {string} Call outcome
+   * @returns {string|undefined} Call outcome matching the Outreach call.outcome values,
+   *   or undefined when the disposition has no equivalent
    */
   mapCallOutcome(call) {
-    if (!call.disposition) return 'Unknown';
+    const disposition = (call.disposition?.external_name || call.disposition?.name || '').toLowerCase();
+    if (!disposition) return undefined;
+    
+    // Checked in order, so "not interested" wins over "interested"
+    const outcomeMatchers = [
+      ['meeting', 'Meeting Scheduled'],
+      ['appointment', 'Meeting Scheduled'],
+      ['not interested', 'Not Interested'],
+      ['interested', 'Interested'],
+      ['voicemail', 'Voicemail'],
+      ['wrong number', 'Wrong Number'],
+      ['busy', 'Busy'],
+      ['no answer', 'No Answer'],
+      ['not reached', 'No Answer'],
+      ['answered', 'Answered'],
+      ['connected', 'Answered']
+    ];
     
-    return call.disposition.external_name || 'Unknown';
+    const match = outcomeMatchers.find(([keyword]) => disposition.includes(keyword));
+    return match ? match[1] : undefined;
   }
 
   /**
@@ -472,7 +405,9 @@ class SalesfinityService {
             type: 'mobile',
             number: c.phone || c.phoneNumber || '',
             country_code: c.countryCode || 'US'
-          }]
+          }],
+          // Carries internalId so calls can be matched back to the lead
+          custom_fields: c.customFields || {}
         }))
       };
 
@@ -506,6 +441,7 @@ class SalesfinityService {
         linkedin: contactData.linkedin || '',
         website: contactData.website || '',
         notes: contactData.notes || '',
+        custom_fields: contactData.customFields || {},
         phone_numbers: []
       };
 
@@ -0,0 +1,194 @@
+const Lead = require('../models/lead');
+const Campaign = require('../models/campaign');
+
+// Leads in these statuses are taken off the dialing list
+const REMOVED_STATUSES = ['Lost', 'Archived'];
+
+// Lead fields that contacts edited in Salesfinity can change here
+const PULLED_FIELDS = ['phone', 'jobTitle', 'company'];
+
+/**
+ * Keeps a campaign's leads in step with a Salesfinity contact list.
+ *
+ * The Salesfinity API can create, add to, delete and requeue lists but cannot edit or remove
+ * single contacts, so a list whose contacts changed or left is rebuilt from scratch.
+ */
+class SalesfinitySync {
+  // Whether a lead belongs on the campaign's dialing list
+  isDialable(lead) {
+    return Boolean(lead.phone) && !REMOVED_STATUSES.includes(lead.status);
+  }
+
+  // What was pushed for a lead, to spot changes on the next sync
+  fingerprint(lead) {
+    return JSON.stringify([lead.firstName, lead.lastName, lead.email, lead.phone, lead.jobTitle, lead.company]);
+  }
+
+  // Salesfinity returns the new list either directly or wrapped in data
+  getListId(result) {
+    const list = result.data?.data || result.data || {};
+    return list._id || list.id;
+  }
+
+  /**
+   * Bring the campaign's contact list in line with its leads
+   * @param {Object} campaign - Campaign document
+   * @param {Object} service - SalesfinityService to push with
+   * @param {Object} [options]
+   * @param {Function} [options.throttle] - Awaited before every Salesfinity request
+   * @returns {Promise<Object>} Counts of added, updated and removed contacts and whether the list was rebuilt
+   */
+  async syncCampaign(campaign, service, { throttle = async () => {} } = {}) {
+    const leads = await Lead.find({ _id: { $in: campaign.leads } });
+    const dialable = leads.filter(lead => this.isDialable(lead));
+    const pushed = new Map((campaign.salesfinity?.contacts || []).map(c => [String(c.lead), c.fingerprint]));
+
+    const added = dialable.filter(lead => !pushed.has(String(lead._id)));
+    const updated = dialable.filter(lead => pushed.has(String(lead._id)) && pushed.get(String(lead._id)) !== this.fingerprint(lead));
+    const dialableIds = new Set(dialable.map(lead => String(lead._id)));
+    const removed = [...pushed.keys()].filter(leadId => !dialableIds.has(leadId));
+
+    const result = {
+      added: added.length,
+      updated: updated.length,
+      removed: removed.length,
+      rebuilt: false
+    };
+
+    const listId = campaign.salesfinity?.contactListId;
+
+    if (!listId || updated.length > 0 || removed.length > 0) {
+      // Contacts cannot be edited or removed one by one, so start a fresh list
+      if (listId) {
+        await throttle();
+        await service.deleteContactList(listId);
+        result.rebuilt = true;
+      }
+
+      if (dialable.length > 0) {
+        await throttle();
+        const created = await service.createContactList(
+          campaign.name,
+          null,
+          dialable.map(lead => service.mapLeadToSalesfinityContact(lead))
+        );
+        campaign.salesfinity.contactListId = this.getListId(created);
+      } else {
+        campaign.salesfinity.contactListId = undefined;
+      }
+    } else {
+      for (const lead of added) {
+        await throttle();
+        await service.addContact(listId, service.mapLeadToSalesfinityContact(lead));
+      }
+    }
+
+    campaign.salesfinity.contacts = dialable.map(lead => ({
+      lead: lead._id,
+      fingerprint: this.fingerprint(lead)
+    }));
+    campaign.salesfinity.lastSyncedAt = new Date();
+    await campaign.save();
+
+    // Put the list (back) in the dialing queue
+    if (campaign.salesfinity.contactListId && (added.length > 0 || updated.length > 0 || result.rebuilt)) {
+      await throttle();
+      await service.reimportContacts(campaign.salesfinity.contactListId);
+    }
+
+    return { ...result, contactListId: campaign.salesfinity.contactListId };
+  }
+
+  /**
+   * Make sure one lead is on the campaign's contact list
+   * @param {Object} campaign - Campaign document
+   * @param {Object} lead - Lead document
+   * @param {Object} service - SalesfinityService to push with
+   * @returns {Promise<string>} Contact list ID
+   */
+  async addLead(campaign, lead, service) {
+    if (!this.isDialable(lead)) {
+      throw new Error(lead.phone ? `Lead is ${lead.status.toLowerCase()}` : 'Lead has no phone number');
+    }
+
+    if (!campaign.leads.some(id => String(id) === String(lead._id))) {
+      campaign.leads.push(lead._id);
+    }
+
+    const contacts = campaign.salesfinity?.contacts || [];
+    const pushed = contacts.find(c => String(c.lead) === String(lead._id));
+
+    // A first or changed contact goes through a full sync so the list stays consistent
+    if (!campaign.salesfinity?.contactListId || (pushed && pushed.fingerprint !== this.fingerprint(lead))) {
+      await this.syncCampaign(campaign, service);
+      return campaign.salesfinity.contactListId;
+    }
+
+    if (!pushed) {
+      await service.addContact(campaign.salesfinity.contactListId, service.mapLeadToSalesfinityContact(lead));
+      campaign.salesfinity.contacts.push({ lead: lead._id, fingerprint: this.fingerprint(lead) });
+      await campaign.save();
+      await service.reimportContacts(campaign.salesfinity.contactListId);
+    }
+
+    return campaign.salesfinity.contactListId;
+  }
+
+  /**
+   * Remove the campaign's contact list from Salesfinity
+   * @param {Object} campaign - Campaign document
+   * @param {Object} service - SalesfinityService to delete with
+   */
+  async unlinkCampaign(campaign, service) {
+    if (campaign.salesfinity?.contactListId) {
+      await service.deleteContactList(campaign.salesfinity.contactListId);
+    }
+
+    campaign.salesfinity = { contacts: [] };
+    await campaign.save();
+  }
+
+  /**
+   * Copy contact details edited in Salesfinity back onto the lead
+   * @param {Object} lead - Lead document
+   * @param {Object} contact - Contact as returned with a Salesfinity call
+   * @param {Date} changedAt - When the contact data was current
+   * @returns {Promise<string[]>} Fields that were updated
+   */
+  async pullContactChanges(lead, contact, changedAt) {
+    // Our own edits made after the contact data win
+    if (!contact || (changedAt && lead.updatedAt && changedAt <= lead.updatedAt)) {
+      return [];
+    }
+
+    const values = {
+      phone: contact.phone_numbers?.[0]?.number || contact.phone,
+      jobTitle: contact.title || contact.job_title,
+      company: contact.company
+    };
+
+    const changed = PULLED_FIELDS.filter(field => values[field] && values[field] !== lead[field]);
+    // Formatting differences alone are not a new number
+    if (changed.includes('phone') && Lead.normalizePhone(values.phone) === lead.phoneE164) {
+      changed.splice(changed.indexOf('phone'), 1);
+    }
+
+    if (changed.length === 0) return [];
+
+    changed.forEach(field => {
+      lead[field] = values[field];
+    });
+    await lead.save();
+
+    // Salesfinity already has these values, so they should not trigger a list rebuild
+    await Campaign.updateMany(
+      { 'salesfinity.contacts.lead': lead._id },
+      { $set: { 'salesfinity.contacts.$[contact].fingerprint': this.fingerprint(lead) } },
+      { arrayFilters: [{ 'contact.lead': lead._id }] }
+    );
+
+    return changed;
+  }
+}
+
+module.exports = new SalesfinitySync();
@@ -0,0 +1,696 @@
+const Sequence = require('../models/sequence');
+const SequenceEnrollment = require('../models/sequenceEnrollment');
+const Outreach = require('../models/outreach');
+const Lead = require('../models/lead');
+const User = require('../models/user');
+const Template = require('../models/template');
+const outreachService = require('./outreach');
+const templateRenderer = require('./templateRenderer');
+const abTesting = require('./abTesting');
+
+// Indexed the same way as Date.prototype.getDay()
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Background engine that walks enrolled leads through the steps of their sequence.
+ * Active windows (activeDays / activeHours) are evaluated in the server's local time.
+ */
+class SequenceEngine {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.batchSize = parseInt(process.env.SEQUENCE_ENGINE_BATCH_SIZE, 10) || 50;
+    this.maxAttempts = 3;
+    this.retryDelayHours = 1;
+  }
+
+  // Start polling for due enrollments
+  start(intervalMs = 60000) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDueEnrollments().catch(error => {
+        console.error('Sequence engine run failed:', error.message);
+      });
+    }, intervalMs);
+
+    console.log(`Sequence engine started (every ${intervalMs / 1000}s)`);
+  }
+
+  // Stop polling
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Steps sorted by their order field
+  getOrderedSteps(sequence) {
+    return [...sequence.steps].sort((a, b) => a.order - b.order);
+  }
+
+  // Find the step with the given order
+  getStep(sequence, order) {
+    return sequence.steps.find(step => step.order === order);
+  }
+
+  // Find the step that follows the given order
+  getNextStep(sequence, order) {
+    return this.getOrderedSteps(sequence).find(step => step.order > order);
+  }
+
+  // Work out when a step is due: after its delay, moved forward into the next active window
+  computeNextRunAt(step, from = new Date()) {
+    return this.alignToActiveWindow(step, new Date(from.getTime() + (step.delay || 0) * HOUR_MS));
+  }
+
+  // Move a date forward to the first moment inside the step's active days and hours
+  alignToActiveWindow(step, runAt) {
+    const activeDays = step.activeDays && step.activeDays.length > 0 ? step.activeDays : WEEKDAYS;
+    let startHour = step.activeHours?.start ?? 0;
+    let endHour = step.activeHours?.end ?? 24;
+    if (startHour >= endHour) {
+      startHour = 0;
+      endHour = 24;
+    }
+
+    for (let offset = 0; offset < 8; offset++) {
+      const candidate = new Date(runAt);
+      candidate.setDate(candidate.getDate() + offset);
+
+      if (!activeDays.includes(WEEKDAYS[candidate.getDay()])) continue;
+
+      if (offset === 0) {
+        const hour = runAt.getHours() + runAt.getMinutes() / 60;
+        if (hour >= endHour) continue;
+        if (hour >= startHour) return runAt;
+      }
+
+      candidate.setHours(startHour, 0, 0, 0);
+      return candidate;
+    }
+
+    return runAt;
+  }
+
+  // Enroll a lead into an active sequence
+  async enrollLead(sequenceId, leadId, userId, options = {}) {
+    const sequence = await Sequence.findById(sequenceId);
+    if (!sequence) {
+      throw new Error('Sequence not found');
+    }
+
+    if (sequence.status !== 'Active') {
+      throw new Error('Leads can only be enrolled into active sequences');
+    }
+
+    const firstStep = this.getOrderedSteps(sequence)[0];
+    if (!firstStep) {
+      throw new Error('Sequence has no steps');
+    }
+
+    const lead = await Lead.findById(leadId);
+    if (!lead) {
+      throw new Error('Lead not found');
+    }
+
+    const existing = await SequenceEnrollment.findOne({ sequence: sequenceId, lead: leadId });
+    if (existing) {
+      throw new Error('Lead is already enrolled in this sequence');
+    }
+
+    const enrollment = await SequenceEnrollment.create({
+      sequence: sequenceId,
+      lead: leadId,
+      campaign: options.campaignId || sequence.campaign,
+      currentStep: firstStep.order,
+      nextRunAt: this.computeNextRunAt(firstStep, options.startAt || new Date()),
+      enrolledBy: userId
+    });
+
+    await Sequence.findByIdAndUpdate(sequenceId, { $inc: { 'metrics.totalLeads': 1 } });
+
+    return enrollment;
+  }
+
+  // Enroll several leads, collecting the ones that could not be enrolled
+  async enrollLeads(sequenceId, leadIds, userId, options = {}) {
+    const enrolled = [];
+    const skipped = [];
+
+    for (const leadId of leadIds) {
+      try {
+        enrolled.push(await this.enrollLead(sequenceId, leadId, userId, options));
+      } catch (error) {
+        skipped.push({ lead: leadId, reason: error.message });
+      }
+    }
+
+    return { enrolled, skipped };
+  }
+
+  // Stop running steps for an enrollment until it is resumed
+  async pauseEnrollment(enrollment) {
+    if (enrollment.status !== 'Active') {
+      throw new Error(`Cannot pause an enrollment that is ${enrollment.status.toLowerCase()}`);
+    }
+
+    enrollment.status = 'Paused';
+    enrollment.pausedAt = new Date();
+    return enrollment.save();
+  }
+
+  // Pick a paused enrollment back up; overdue steps run in the next active window
+  async resumeEnrollment(enrollment) {
+    if (enrollment.status !== 'Paused') {
+      throw new Error('Only paused enrollments can be resumed');
+    }
+
+    const sequence = await Sequence.findById(enrollment.sequence);
+    const step = sequence && this.getStep(sequence, enrollment.currentStep);
+    const now = new Date();
+    const runAt = enrollment.nextRunAt && enrollment.nextRunAt > now ? enrollment.nextRunAt : now;
+
+    enrollment.status = 'Active';
+    enrollment.pausedAt = undefined;
+    enrollment.nextRunAt = step ? this.alignToActiveWindow(step, runAt) : runAt;
+    return enrollment.save();
+  }
+
+  // Take a lead out of its sequence before it finishes
+  async exitEnrollment(enrollment, reason) {
+    if (!['Active', 'Paused'].includes(enrollment.status)) {
+      throw new Error(`Enrollment is already ${enrollment.status.toLowerCase()}`);
+    }
+
+    enrollment.status = 'Exited';
+    enrollment.exitReason = reason;
+    enrollment.exitedAt = new Date();
+    enrollment.nextRunAt = undefined;
+    await enrollment.save();
+
+    await this.updateSequenceMetrics(enrollment.sequence);
+    return enrollment;
+  }
+
+  // Exit the running enrollments of a lead that started before the outcome, and cancel
+  // those sequences' outreach that has not gone out yet
+  async exitLeadFromSequences(leadId, reason, sourceOutreachId = null, occurredAt = new Date()) {
+    const enrollments = await SequenceEnrollment.find({
+      lead: leadId,
+      status: { $in: ['Active', 'Paused'] },
+      createdAt: { $lt: occurredAt }
+    });
+
+    for (const enrollment of enrollments) {
+      await this.exitEnrollment(enrollment, reason);
+    }
+
+    if (enrollments.length === 0) {
+      return { exited: 0, cancelledOutreach: 0 };
+    }
+
+    // Manual outreach and other sequences' steps are left alone; the note is added to any existing notes
+    const note = `Cancelled automatically: lead ${reason.toLowerCase()}`;
+    const cancelled = await Outreach.updateMany(
+      {
+        lead: leadId,
+        sequence: { $in: enrollments.map(enrollment => enrollment.sequence) },
+        status: 'Scheduled',
+        _id: { $ne: sourceOutreachId }
+      },
+      [{
+        $set: {
+          status: 'Cancelled',
+          notes: { $trim: { input: { $concat: [{ $ifNull: ['$notes', ''] }, '\n', note] } } }
+        }
+      }]
+    );
+
+    return {
+      exited: enrollments.length,
+      cancelledOutreach: cancelled.modifiedCount
+    };
+  }
+
+  // Recompute enrollment-based metrics for a sequence
+  async updateSequenceMetrics(sequenceId) {
+    const enrollments = await SequenceEnrollment.find({ sequence: sequenceId })
+      .select('status createdAt completedAt');
+
+    const completed = enrollments.filter(e => e.status === 'Completed' && e.completedAt);
+    const totalHours = completed.reduce(
+      (sum, e) => sum + (e.completedAt - e.createdAt) / HOUR_MS,
+      0
+    );
+
+    const metrics = {
+      'metrics.totalLeads': enrollments.length,
+      'metrics.completionRate': enrollments.length > 0
+        ? Math.round((completed.length / enrollments.length) * 10000) / 100
+        : 0,
+      'metrics.averageTimeToComplete': completed.length > 0
+        ? Math.round((totalHours / completed.length) * 100) / 100
+        : 0
+    };
+
+    await Sequence.findByIdAndUpdate(sequenceId, { $set: metrics });
+    return metrics;
+  }
+
+  // Run every enrollment whose next step is due
+  async processDueEnrollments() {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      // Enrollments of paused or archived sequences stay where they are
+      const activeSequences = await Sequence.find({ status: 'Active' }).distinct('_id');
+
+      const due = await SequenceEnrollment.find({
+        status: 'Active',
+        sequence: { $in: activeSequences },
+        nextRunAt: { $lte: new Date() }
+      })
+        .sort('nextRunAt')
+        .limit(this.batchSize);
+
+      for (const enrollment of due) {
+        await this.runEnrollment(enrollment);
+      }
+
+      return due.length;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Execute the current step of a single enrollment and move it forward
+  async runEnrollment(enrollment) {
+    const sequence = await Sequence.findById(enrollment.sequence);
+    if (!sequence) {
+      enrollment.status = 'Failed';
+      enrollment.lastError = 'Sequence no longer exists';
+      enrollment.nextRunAt = undefined;
+      return enrollment.save();
+    }
+
+    // Branch decisions are made once the branch delay has passed
+    if (enrollment.awaitingBranchFrom !== undefined && enrollment.awaitingBranchFrom !== null) {
+      return this.resolveBranch(enrollment, sequence);
+    }
+
+    // Fall through to the following step if the current one was removed
+    const step = this.getStep(sequence, enrollment.currentStep) ||
+      this.getNextStep(sequence, enrollment.currentStep);
+    if (!step) {
+      return this.advance(enrollment, sequence, null);
+    }
+
+    try {
+      const skipReason = await this.getSkipReason(enrollment, step);
+      const outreach = skipReason ? null : await this.dispatchStep(enrollment, sequence, step);
+
+      enrollment.history.push({
+        step: step.order,
+        result: skipReason ? 'Skipped' : 'Dispatched',
+        outreach: outreach?._id,
+        note: skipReason,
+        executedAt: new Date()
+      });
+
+      return this.advance(enrollment, sequence, step);
+    } catch (error) {
+      enrollment.attempts += 1;
+      enrollment.lastError = error.message;
+
+      if (enrollment.attempts >= this.maxAttempts) {
+        enrollment.status = 'Failed';
+        enrollment.nextRunAt = undefined;
+        enrollment.history.push({
+          step: step.order,
+          result: 'Failed',
+          note: error.message,
+          executedAt: new Date()
+        });
+      } else {
+        enrollment.nextRunAt = new Date(Date.now() + this.retryDelayHours * HOUR_MS);
+      }
+
+      console.error(`Sequence step ${step.order} failed for enrollment ${enrollment._id}:`, error.message);
+      return enrollment.save();
+    }
+  }
+
+  // Point the enrollment at the step after the one that just ran, or complete it
+  async advance(enrollment, sequence, step) {
+    // Steps with branches wait before deciding where to go
+    if (step && step.branches && step.branches.length > 0) {
+      const now = new Date();
+      enrollment.lastRunAt = now;
+      enrollment.attempts = 0;
+      enrollment.lastError = undefined;
+      enrollment.awaitingBranchFrom = step.order;
+      enrollment.nextRunAt = new Date(now.getTime() + (step.branchDelay ?? 24) * HOUR_MS);
+      return enrollment.save();
+    }
+
+    return this.moveTo(enrollment, sequence, step ? this.getDefaultNextStep(sequence, step) : null);
+  }
+
+  // Schedule the given step next, or complete the enrollment when there is none
+  async moveTo(enrollment, sequence, nextStep) {
+    const now = new Date();
+
+    enrollment.lastRunAt = now;
+    enrollment.attempts = 0;
+    enrollment.lastError = undefined;
+
+    if (nextStep) {
+      enrollment.currentStep = nextStep.order;
+      enrollment.nextRunAt = this.computeNextRunAt(nextStep, now);
+    } else {
+      enrollment.status = 'Completed';
+      enrollment.completedAt = now;
+      enrollment.nextRunAt = undefined;
+    }
+
+    await enrollment.save();
+
+    if (enrollment.status === 'Completed') {
+      await this.updateSequenceMetrics(sequence._id);
+    }
+
+    return enrollment;
+  }
+
+  // Step that follows when no branch applies
+  getDefaultNextStep(sequence, step) {
+    if (step.defaultNextStep !== undefined && step.defaultNextStep !== null) {
+      const target = this.getStep(sequence, step.defaultNextStep);
+      if (target) return target;
+    }
+
+    return this.getNextStep(sequence, step.order);
+  }
+
+  // Evaluate the branches of the step the enrollment is waiting on and move to the chosen step
+  async resolveBranch(enrollment, sequence) {
+    const order = enrollment.awaitingBranchFrom;
+    const step = this.getStep(sequence, order);
+    enrollment.awaitingBranchFrom = undefined;
+
+    if (!step) {
+      return this.moveTo(enrollment, sequence, this.getNextStep(sequence, order));
+    }
+
+    const { target, note } = await this.chooseNextStep(enrollment, sequence, step);
+
+    enrollment.history.push({
+      step: step.order,
+      result: 'Branched',
+      note,
+      executedAt: new Date()
+    });
+
+    return this.moveTo(enrollment, sequence, target);
+  }
+
+  // Pick the target of the first branch whose conditions all hold
+  async chooseNextStep(enrollment, sequence, step) {
+    const outreachByStep = await this.getStepOutreach(enrollment);
+
+    for (const branch of step.branches) {
+      const matches = branch.conditions.every(
+        condition => this.evaluateCondition(condition, outreachByStep.get(condition.step))
+      );
+      const target = matches && this.getStep(sequence, branch.nextStep);
+
+      if (target) {
+        return {
+          target,
+          note: `Took branch "${branch.name || `to step ${branch.nextStep}`}"`
+        };
+      }
+    }
+
+    return {
+      target: this.getDefaultNextStep(sequence, step),
+      note: 'No branch matched'
+    };
+  }
+
+  // Latest outreach dispatched for each step of the enrollment, keyed by step order
+  async getStepOutreach(enrollment) {
+    const dispatched = enrollment.history.filter(entry => entry.outreach);
+    const outreach = await Outreach.find({
+      _id: { $in: dispatched.map(entry => entry.outreach) }
+    });
+
+    const outreachById = new Map(outreach.map(o => [o._id.toString(), o]));
+    const outreachByStep = new Map();
+
+    dispatched.forEach(entry => {
+      const record = outreachById.get(entry.outreach.toString());
+      if (record) outreachByStep.set(entry.step, record);
+    });
+
+    return outreachByStep;
+  }
+
+  // Check a single branch condition against a step's outreach record
+  evaluateCondition(condition, outreach) {
+    const value = outreach ? outreach.get(condition.field) : undefined;
+    const present = value !== undefined && value !== null && value !== false && value !== '';
+
+    switch (condition.operator) {
+      case 'notExists':
+        return !present;
+      case 'equals':
+        return present && String(value) === condition.value;
+      case 'notEquals':
+        return !present || String(value) !== condition.value;
+      case 'exists':
+      default:
+        return present;
+    }
+  }
+
+  // Check the step's skip conditions against the lead's outreach in this sequence
+  async getSkipReason(enrollment, step) {
+    const conditions = step.conditions || {};
+    const history = await Outreach.find({
+      lead: enrollment.lead,
+      sequence: enrollment.sequence
+    });
+
+    if (conditions.skipIfReplied &&
+        history.some(o => o.status === 'Replied' || o.response?.received)) {
+      return 'Lead already replied';
+    }
+
+    if (conditions.skipIfBounced && history.some(o => o.status === 'Bounced')) {
+      return 'Lead email bounced';
+    }
+
+    if (conditions.skipIfOpened && history.some(o => o.email?.openedAt)) {
+      return 'Lead already opened an email';
+    }
+
+    if (conditions.skipIfNoResponse && history.length > 0 &&
+        !history.some(o => o.response?.received)) {
+      return 'No response to previous steps';
+    }
+
+    return null;
+  }
+
+  // Send the step through the matching OutreachService channel
+  async dispatchStep(enrollment, sequence, step) {
+    const user = await User.findById(enrollment.enrolledBy);
+    if (!user) {
+      throw new Error('Enrolling user no longer exists');
+    }
+
+    outreachService.initUserServices(user);
+
+    const leadId = enrollment.lead;
+    const campaignId = enrollment.campaign || sequence.campaign;
+    const variant = this.chooseVariant(step);
+    const content = await this.getStepContent(step, variant);
+    const templateId = variant?.template || step.template;
+    const variantData = variant ? { variant: variant.name, variantId: variant._id } : {};
+    let outreach;
+
+    switch (step.type) {
+      case 'Email':
+        if (step.channel !== 'Instantly') {
+          outreach = await this.createManualOutreach(enrollment, sequence, step, user, content, variant);
+          break;
+        }
+        if (!campaignId) {
+          throw new Error('Instantly email steps require the sequence to belong to a campaign');
+        }
+        outreach = await outreachService.sendEmail(user._id, campaignId, leadId, {
+          subject: content.email?.subject,
+          body: content.email?.body,
+          fromName: content.email?.fromName || `${user.firstName} ${user.lastName}`,
+          fromEmail: content.email?.fromEmail || user.email,
+          scheduledAt: new Date(),
+          sequenceId: sequence._id,
+          templateId,
+          ...variantData
+        });
+        break;
+
+      case 'Call':
+        if (step.channel !== 'Salesfinity') {
+          outreach = await this.createManualOutreach(enrollment, sequence, step, user, content, variant);
+          break;
+        }
+        outreach = await outreachService.scheduleCall(user._id, campaignId, leadId, {
+          notes: content.call?.dialingInstructions || '',
+          script: content.call?.script || '',
+          scheduledAt: new Date(),
+          sequenceId: sequence._id,
+          templateId: step.template
+        });
+        break;
+
+      case 'LinkedIn': {
+        if (step.channel !== 'LinkedIn') {
+          outreach = await this.createManualOutreach(enrollment, sequence, step, user, content, variant);
+          break;
+        }
+        const messageData = {
+          message: content.linkedin?.message,
+          agentId: content.linkedin?.agentId,
+          sessionCookie: process.env.LINKEDIN_SESSION_COOKIE,
+          campaignId,
+          sequenceId: sequence._id,
+          templateId,
+          ...variantData
+        };
+        if (content.linkedin?.messageType === 'Connection Request') {
+          outreach = await outreachService.sendLinkedInConnection(user._id, leadId, messageData);
+        } else {
+          outreach = await outreachService.sendLinkedInMessage(user._id, leadId, messageData);
+        }
+        break;
+      }
+
+      case 'Task':
+        outreach = await this.createManualOutreach(enrollment, sequence, step, user, content, variant);
+        break;
+
+      case 'Wait':
+      default:
+        return null;
+    }
+
+    await Lead.findByIdAndUpdate(leadId, { lastContactedDate: new Date() });
+
+    return outreach;
+  }
+
+  // Variant of the step's copy this lead receives, if the step is being A/B tested
+  chooseVariant(step) {
+    if (!step.variants || step.variants.length === 0) return null;
+
+    if (step.winningVariant) {
+      const winner = step.variants.find(v => String(v._id) === String(step.winningVariant));
+      if (winner) return winner;
+    }
+
+    return abTesting.pickVariant(step.variants);
+  }
+
+  // Step content, with the copy taken from the saved template and variant when there are any
+  async getStepContent(step, variant) {
+    const content = step.content && step.content.toObject ? step.content.toObject() : { ...(step.content || {}) };
+    const templateId = variant?.template || step.template;
+
+    if (templateId) {
+      const template = await Template.findById(templateId);
+      if (!template) {
+        throw new Error('Step template no longer exists');
+      }
+
+      const templateContent = template.toContent();
+      Object.keys(templateContent).forEach(key => {
+        content[key] = { ...(content[key] || {}), ...templateContent[key] };
+      });
+
+      // A message type set on the step wins over the template's default
+      if (step.content?.linkedin?.messageType && content.linkedin) {
+        content.linkedin.messageType = step.content.linkedin.messageType;
+      }
+    }
+
+    // Copy written on the variant itself wins over everything else
+    if (variant?.content) {
+      const { email, linkedin } = variant.content;
+      if (email?.subject) content.email = { ...(content.email || {}), subject: email.subject };
+      if (email?.body) content.email = { ...(content.email || {}), body: email.body };
+      if (linkedin?.message) content.linkedin = { ...(content.linkedin || {}), message: linkedin.message };
+    }
+
+    return content;
+  }
+
+  // Record a step that a rep has to perform by hand
+  async createManualOutreach(enrollment, sequence, step, user, content, variant) {
+    const lead = await Lead.findById(enrollment.lead);
+    const context = templateRenderer.buildContext({
+      lead,
+      rep: user,
+      sender: { fromName: content.email?.fromName, fromEmail: content.email?.fromEmail }
+    });
+    const render = text => templateRenderer.renderText(text, context);
+    const typeChannels = {
+      Email: 'Personal Email',
+      Call: 'Other',
+      LinkedIn: 'LinkedIn'
+    };
+
+    const outreach = new Outreach({
+      lead: enrollment.lead,
+      campaign: enrollment.campaign || sequence.campaign,
+      sequence: sequence._id,
+      template: variant?.template || step.template,
+      variant: variant?.name,
+      variantId: variant?._id,
+      type: typeChannels[step.type] ? step.type : 'Other',
+      channel: typeChannels[step.type] || 'Other',
+      status: 'Scheduled',
+      scheduledAt: content.task?.dueDate || new Date(),
+      notes: content.task?.instructions || step.description || step.name,
+      performedBy: user._id
+    });
+
+    if (step.type === 'Email') {
+      outreach.email = {
+        subject: render(content.email?.subject),
+        body: render(content.email?.body),
+        fromName: content.email?.fromName || `${user.firstName} ${user.lastName}`,
+        fromEmail: content.email?.fromEmail || user.email
+      };
+    } else if (step.type === 'Call') {
+      outreach.call = {
+        notes: render(content.call?.script)
+      };
+    } else if (step.type === 'LinkedIn') {
+      outreach.linkedin = {
+        messageType: content.linkedin?.messageType === 'Post' ? 'Post Engagement' : content.linkedin?.messageType,
+        message: render(content.linkedin?.message)
+      };
+    }
+
+    return outreach.save();
+  }
+}
+
+module.exports = new SequenceEngine();
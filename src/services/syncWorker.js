@@ -0,0 +1,301 @@
+const Outreach = require('../models/outreach');
+const Campaign = require('../models/campaign');
+const User = require('../models/user');
+const outreachService = require('./outreach');
+const salesfinitySync = require('./salesfinitySync');
+
+const MINUTE_MS = 60 * 1000;
+
+// Statuses that can still change on the integration's side
+const OPEN_STATUSES = ['Scheduled', 'Sent', 'Delivered', 'Opened'];
+
+// Per channel: the external ID a sync needs, whether records without one can be matched up by lead,
+// and how many requests a minute the integration allows
+const CHANNELS = {
+  Instantly: { externalId: 'externalIds.instantlyId', matchByLead: true, requestsPerMinute: 60 },
+  Salesfinity: { externalId: 'externalIds.salesfinityId', matchByLead: true, requestsPerMinute: 60 },
+  LinkedIn: { externalId: 'externalIds.linkedinActivityId', matchByLead: false, requestsPerMinute: 10 }
+};
+
+// Failures kept for the status endpoint
+const MAX_RECENT_FAILURES = 20;
+
+/**
+ * Background worker that keeps open outreach in step with the integrations it was sent through
+ */
+class SyncWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.batchSize = parseInt(process.env.OUTREACH_SYNC_BATCH_SIZE, 10) || 100;
+    // Minutes before a synced record is checked again
+    this.resyncMinutes = 15;
+    // Failed syncs back off exponentially, from 5 minutes up to a day
+    this.backoffBaseMinutes = 5;
+    this.backoffMaxMinutes = 24 * 60;
+    this.lastRequestAt = {};
+    this.state = {
+      startedAt: null,
+      intervalMs: null,
+      lastRun: null,
+      channels: {},
+      recentFailures: []
+    };
+  }
+
+  // Start sweeping open outreach
+  start(intervalMs = 5 * MINUTE_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => {
+        console.error('Outreach sync run failed:', error.message);
+      });
+    }, intervalMs);
+
+    this.state.startedAt = new Date();
+    this.state.intervalMs = intervalMs;
+    console.log(`Outreach sync worker started (every ${intervalMs / 1000}s)`);
+  }
+
+  // Stop sweeping
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Sync one batch of due outreach per channel
+   * @returns {Promise<Object|null>} Summary of the run, or null if one is already in progress
+   */
+  async run() {
+    if (this.running) return null;
+    this.running = true;
+
+    const startedAt = new Date();
+    const channels = {};
+
+    try {
+      for (const channel of Object.keys(CHANNELS)) {
+        channels[channel] = await this.syncChannel(channel);
+        this.state.channels[channel] = { ...channels[channel], lastRunAt: startedAt };
+      }
+
+      const contactLists = await this.syncContactLists();
+
+      this.state.lastRun = {
+        startedAt,
+        finishedAt: new Date(),
+        durationMs: Date.now() - startedAt.getTime(),
+        channels,
+        contactLists
+      };
+
+      return this.state.lastRun;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Due outreach of a channel: open, syncable, and not waiting out a backoff
+  dueFilter(channel, now = new Date()) {
+    const filter = {
+      channel,
+      status: { $in: OPEN_STATUSES },
+      $or: [
+        { 'sync.nextSyncAt': null },
+        { 'sync.nextSyncAt': { $lte: now } }
+      ]
+    };
+    if (!CHANNELS[channel].matchByLead) {
+      filter[CHANNELS[channel].externalId] = { $nin: [null, ''] };
+    }
+    return filter;
+  }
+
+  // Sync a batch of one channel's due outreach
+  async syncChannel(channel) {
+    const result = { processed: 0, succeeded: 0, unmatched: 0, failed: 0 };
+
+    // Least recently synced first, so nothing is starved
+    const batch = await Outreach.find(this.dueFilter(channel))
+      .sort({ 'sync.lastSyncedAt': 1, createdAt: 1 })
+      .limit(this.batchSize)
+      .select('_id performedBy sync externalIds');
+
+    const initializedUsers = new Set();
+
+    for (const outreach of batch) {
+      result.processed++;
+
+      try {
+        await this.initUser(outreach.performedBy, initializedUsers);
+        // One sync can take several requests, e.g. a lookup by lead and then the status
+        const synced = await outreachService.syncOutreachStatus(outreach._id, {
+          throttle: () => this.throttle(channel)
+        });
+
+        // Not on the integration's side yet, e.g. a queued call nobody has dialed: look again later
+        if (!synced.get(CHANNELS[channel].externalId)) {
+          const attempts = (outreach.sync?.attempts || 0) + 1;
+          await Outreach.updateOne({ _id: outreach._id }, {
+            $set: {
+              'sync.lastSyncedAt': new Date(),
+              'sync.nextSyncAt': new Date(Date.now() + this.getBackoffMinutes(attempts) * MINUTE_MS),
+              'sync.attempts': attempts,
+              'sync.lastError': `No matching ${channel} record yet`
+            }
+          });
+          result.unmatched++;
+          continue;
+        }
+
+        await Outreach.updateOne({ _id: outreach._id }, {
+          $set: {
+            'sync.lastSyncedAt': new Date(),
+            'sync.nextSyncAt': new Date(Date.now() + this.resyncMinutes * MINUTE_MS),
+            'sync.attempts': 0,
+            'sync.lastError': null
+          }
+        });
+        result.succeeded++;
+      } catch (error) {
+        const attempts = (outreach.sync?.attempts || 0) + 1;
+
+        await Outreach.updateOne({ _id: outreach._id }, {
+          $set: {
+            'sync.lastSyncedAt': new Date(),
+            'sync.nextSyncAt': new Date(Date.now() + this.getBackoffMinutes(attempts) * MINUTE_MS),
+            'sync.attempts': attempts,
+            'sync.lastError': error.message
+          }
+        });
+        this.recordFailure(channel, outreach._id, attempts, error);
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+
+  // Keep active campaigns' Salesfinity contact lists in step with their leads
+  async syncContactLists() {
+    const result = { synced: 0, failed: 0 };
+    const campaigns = await Campaign.find({
+      status: 'Active',
+      'salesfinity.contactListId': { $nin: [null, ''] }
+    });
+    const initializedUsers = new Set();
+
+    for (const campaign of campaigns) {
+      try {
+        // Lists are pushed with the key of the campaign's creator
+        await this.initUser(campaign.createdBy, initializedUsers);
+        const service = outreachService.getService(campaign.createdBy, 'Salesfinity');
+        if (!service) {
+          throw new Error('Salesfinity is not configured');
+        }
+
+        await salesfinitySync.syncCampaign(campaign, service, {
+          throttle: () => this.throttle('Salesfinity')
+        });
+        result.synced++;
+      } catch (error) {
+        this.recordFailure('Salesfinity', campaign._id, 1, error);
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+
+  // Minutes to wait after the given number of consecutive failures
+  getBackoffMinutes(attempts) {
+    return Math.min(this.backoffBaseMinutes * 2 ** (attempts - 1), this.backoffMaxMinutes);
+  }
+
+  // Wait until the channel's rate limit allows another request; called before every request a sync makes
+  async throttle(channel) {
+    const spacingMs = MINUTE_MS / CHANNELS[channel].requestsPerMinute;
+    const waitMs = (this.lastRequestAt[channel] || 0) + spacingMs - Date.now();
+
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    this.lastRequestAt[channel] = Date.now();
+  }
+
+  // Set up the integration clients of the user who sent the outreach, once per run
+  async initUser(userId, initializedUsers) {
+    if (!userId || initializedUsers.has(String(userId))) return;
+    initializedUsers.add(String(userId));
+
+    const user = await User.findById(userId);
+    if (user) {
+      outreachService.initUserServices(user);
+    }
+  }
+
+  // Keep the most recent failures for the status endpoint; the record is an outreach or a campaign
+  recordFailure(channel, recordId, attempts, error) {
+    this.state.recentFailures.unshift({
+      channel,
+      recordId,
+      attempts,
+      error: error.message,
+      at: new Date()
+    });
+    this.state.recentFailures.length = Math.min(this.state.recentFailures.length, MAX_RECENT_FAILURES);
+  }
+
+  /**
+   * Worker status with backlog and lag per channel
+   * @returns {Promise<Object>} Last run, recent failures and per-channel backlog
+   */
+  async getStatus() {
+    const now = new Date();
+    const channels = {};
+
+    for (const channel of Object.keys(CHANNELS)) {
+      const open = { channel, status: { $in: OPEN_STATUSES } };
+      const [due, oldestDue, failing, withoutId] = await Promise.all([
+        Outreach.countDocuments(this.dueFilter(channel, now)),
+        Outreach.findOne(this.dueFilter(channel, now))
+          .sort({ 'sync.nextSyncAt': 1, createdAt: 1 })
+          .select('createdAt sync'),
+        Outreach.countDocuments({ ...open, 'sync.attempts': { $gt: 0 } }),
+        Outreach.countDocuments({ ...open, [CHANNELS[channel].externalId]: { $in: [null, ''] } })
+      ]);
+
+      const dueSince = oldestDue ? (oldestDue.sync?.nextSyncAt || oldestDue.createdAt) : null;
+
+      channels[channel] = {
+        requestsPerMinute: CHANNELS[channel].requestsPerMinute,
+        due,
+        failing,
+        // Open records without an external ID: still being matched up by lead, or, where the
+        // channel cannot match them, never synced
+        unmatched: CHANNELS[channel].matchByLead ? withoutId : 0,
+        unsyncable: CHANNELS[channel].matchByLead ? 0 : withoutId,
+        // How long the oldest due record has been waiting
+        lagSeconds: dueSince ? Math.max(0, Math.round((now - dueSince) / 1000)) : 0,
+        lastRun: this.state.channels[channel] || null
+      };
+    }
+
+    return {
+      enabled: Boolean(this.timer),
+      running: this.running,
+      startedAt: this.state.startedAt,
+      intervalMs: this.state.intervalMs,
+      lastRun: this.state.lastRun,
+      recentFailures: this.state.recentFailures,
+      channels
+    };
+  }
+}
+
+module.exports = new SyncWorker();
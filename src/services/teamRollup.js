@@ -0,0 +1,96 @@
+const Lead = require('../models/lead');
+const Outreach = require('../models/outreach');
+const User = require('../models/user');
+
+const LEAD_STATUSES = Lead.schema.path('status').enumValues;
+const OUTREACH_TYPES = Outreach.schema.path('type').enumValues;
+const DEFAULT_PERIOD_DAYS = 30;
+
+// { key: 0 } for each key
+const zeroCounts = keys => Object.fromEntries(keys.map(key => [key, 0]));
+
+/**
+ * Pipeline and activity totals for a team, overall and per member
+ */
+class TeamRollupService {
+  /**
+   * Roll up a team's leads by status and its outreach over a period
+   * @param {Object} team - Team document (not populated)
+   * @param {Object} [options]
+   * @param {Date} [options.from] - Start of the activity period; defaults to 30 days ago
+   * @param {Date} [options.to] - End of the activity period; defaults to now
+   * @returns {Promise<Object>} { period, pipeline, activity, members }
+   */
+  async getRollup(team, { from, to } = {}) {
+    const periodEnd = to || new Date();
+    const periodStart = from || new Date(periodEnd.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    const userIds = team.getUserIds();
+
+    const [leadCounts, outreachCounts, users] = await Promise.all([
+      Lead.aggregate([
+        { $match: { $or: [{ assignedTo: { $in: userIds } }, { assignedTeam: team._id }] } },
+        { $group: { _id: { assignedTo: '$assignedTo', status: '$status' }, count: { $sum: 1 } } }
+      ]),
+      Outreach.aggregate([
+        { $match: { performedBy: { $in: userIds }, createdAt: { $gte: periodStart, $lte: periodEnd } } },
+        {
+          $group: {
+            _id: { performedBy: '$performedBy', type: '$type' },
+            count: { $sum: 1 },
+            replied: {
+              $sum: {
+                $cond: [
+                  { $or: [{ $eq: ['$status', 'Replied'] }, { $eq: ['$response.received', true] }] },
+                  1,
+                  0
+                ]
+              }
+            }
+          }
+        }
+      ]),
+      User.find({ _id: { $in: userIds } }).select('firstName lastName email role')
+    ]);
+
+    const emptyPipeline = () => ({ total: 0, byStatus: zeroCounts(LEAD_STATUSES) });
+    const emptyActivity = () => ({ total: 0, replied: 0, byType: zeroCounts(OUTREACH_TYPES) });
+
+    const pipeline = { ...emptyPipeline(), unassigned: 0 };
+    const activity = emptyActivity();
+    const members = new Map(users.map(user => [
+      String(user._id),
+      { user, isManager: team.isManagedBy(user._id), pipeline: emptyPipeline(), activity: emptyActivity() }
+    ]));
+
+    leadCounts.forEach(({ _id, count }) => {
+      pipeline.total += count;
+      pipeline.byStatus[_id.status] = (pipeline.byStatus[_id.status] || 0) + count;
+
+      // Leads assigned to the team but not to one of its members yet
+      const member = _id.assignedTo && members.get(String(_id.assignedTo));
+      if (!member) {
+        pipeline.unassigned += count;
+        return;
+      }
+      member.pipeline.total += count;
+      member.pipeline.byStatus[_id.status] = (member.pipeline.byStatus[_id.status] || 0) + count;
+    });
+
+    outreachCounts.forEach(({ _id, count, replied }) => {
+      [activity, members.get(String(_id.performedBy))?.activity].filter(Boolean).forEach(totals => {
+        totals.total += count;
+        totals.replied += replied;
+        totals.byType[_id.type] = (totals.byType[_id.type] || 0) + count;
+      });
+    });
+
+    return {
+      period: { from: periodStart, to: periodEnd },
+      pipeline,
+      activity,
+      members: Array.from(members.values())
+    };
+  }
+}
+
+module.exports = new TeamRollupService();
@@ -0,0 +1,195 @@
+// Matches {{ name }}, {{#if name}}, {{else}} and {{/if}}
+const TAG_PATTERN = /\{\{\s*([#/]?)([^}]*?)\s*\}\}/;
+
+/**
+ * Renders message templates for email, LinkedIn and call scripts.
+ *
+ * Supported syntax:
+ * - {{firstName}} or {{lead.firstName}} - any Lead field
+ * - {{customFields.budget}} - a lead custom field
+ * - {{sender.firstName}}, {{rep.email}} - the sending user
+ * - {{company | "your team"}} - value with a fallback when it is empty
+ * - {{#if company}}...{{else}}...{{/if}} - conditional blocks (may be nested)
+ */
+class TemplateRenderer {
+  /**
+   * Build the variables available to a template
+   * @param {Object} options
+   * @param {Object} options.lead - Lead document or plain object
+   * @param {Object} [options.rep] - User performing the outreach
+   * @param {Object} [options.sender] - fromName and fromEmail the message is sent with
+   * @param {Object} [options.extra] - Additional top-level variables
+   * @returns {Object} Template context
+   */
+  buildContext({ lead, rep, sender, extra } = {}) {
+    const leadData = lead && lead.toObject ? lead.toObject() : { ...(lead || {}) };
+    const repData = rep && rep.toObject ? rep.toObject() : { ...(rep || {}) };
+
+    const fullName = (first, last) => [first, last].filter(Boolean).join(' ');
+
+    const repContext = {
+      firstName: repData.firstName,
+      lastName: repData.lastName,
+      fullName: fullName(repData.firstName, repData.lastName),
+      email: repData.email,
+      department: repData.department
+    };
+
+    // The sender defaults to the rep but can be overridden by fromName / fromEmail
+    const senderContext = {
+      ...repContext,
+      email: sender?.fromEmail || repContext.email
+    };
+    if (sender?.fromName) {
+      const [firstName, ...lastName] = sender.fromName.trim().split(/\s+/);
+      senderContext.firstName = firstName;
+      senderContext.lastName = lastName.join(' ');
+      senderContext.fullName = sender.fromName.trim();
+    }
+
+    const leadContext = {
+      ...leadData,
+      // Kept for templates written against the original LinkedIn placeholders
+      position: leadData.jobTitle,
+      fullName: fullName(leadData.firstName, leadData.lastName),
+      customFields: leadData.customFields || {}
+    };
+
+    return {
+      ...leadContext,
+      lead: leadContext,
+      rep: repContext,
+      sender: senderContext,
+      ...(extra || {})
+    };
+  }
+
+  /**
+   * Render a template against a context
+   * @param {string} template - Template text
+   * @param {Object} context - Variables, usually from buildContext
+   * @returns {{ output: string, missing: string[] }} Rendered text and variables that had no value
+   */
+  render(template, context = {}) {
+    if (!template) {
+      return { output: template || '', missing: [] };
+    }
+
+    const missing = new Set();
+    const tree = this.parse(String(template));
+    const output = this.renderNodes(tree, context, missing);
+
+    return { output, missing: [...missing] };
+  }
+
+  /**
+   * Render a template and return only the text
+   * @param {string} template - Template text
+   * @param {Object} context - Variables, usually from buildContext
+   * @returns {string} Rendered text
+   */
+  renderText(template, context = {}) {
+    return this.render(template, context).output;
+  }
+
+  // Turn template text into a tree of text, variable and if nodes
+  parse(template) {
+    const root = [];
+    // Each frame is an open if block (or the root) and the list new nodes go into
+    const stack = [{ node: null, target: root }];
+    const pattern = new RegExp(TAG_PATTERN.source, 'g');
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(template)) !== null) {
+      const frame = stack[stack.length - 1];
+      const [raw, prefix, body] = match;
+
+      if (match.index > lastIndex) {
+        frame.target.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+      }
+      lastIndex = match.index + raw.length;
+
+      if (prefix === '#' && /^if\s/.test(body)) {
+        const node = { type: 'if', path: body.slice(3).trim(), children: [], elseChildren: [] };
+        frame.target.push(node);
+        stack.push({ node, target: node.children });
+      } else if (!prefix && body === 'else' && frame.node) {
+        frame.target = frame.node.elseChildren;
+      } else if (prefix === '/' && body === 'if' && frame.node) {
+        stack.pop();
+      } else if (!prefix) {
+        frame.target.push(this.parseVariable(body));
+      } else {
+        // Unknown block tags are left as written
+        frame.target.push({ type: 'text', value: raw });
+      }
+    }
+
+    if (lastIndex < template.length) {
+      stack[stack.length - 1].target.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+
+    return root;
+  }
+
+  // Parse "path" or 'path | "fallback"'
+  parseVariable(body) {
+    const [path, ...rest] = body.split('|');
+    const fallbackText = rest.join('|').trim();
+    const quoted = fallbackText.match(/^(["'])(.*)\1$/);
+
+    return {
+      type: 'variable',
+      path: path.trim(),
+      fallback: fallbackText ? (quoted ? quoted[2] : fallbackText) : undefined
+    };
+  }
+
+  // Render parsed nodes
+  renderNodes(nodes, context, missing) {
+    return nodes.map(node => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+
+      if (node.type === 'if') {
+        const branch = this.isPresent(this.resolve(node.path, context))
+          ? node.children
+          : node.elseChildren;
+        return this.renderNodes(branch, context, missing);
+      }
+
+      const value = this.resolve(node.path, context);
+      if (this.isPresent(value)) {
+        return value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+      }
+
+      if (node.fallback !== undefined) {
+        return node.fallback;
+      }
+
+      missing.add(node.path);
+      return '';
+    }).join('');
+  }
+
+  // Look up a dotted path in the context
+  resolve(path, context) {
+    return path.split('.').reduce((value, key) => {
+      if (value === undefined || value === null) return undefined;
+      if (value instanceof Map) return value.get(key);
+      return value[key];
+    }, context);
+  }
+
+  // Whether a value should count as filled in
+  isPresent(value) {
+    if (value === undefined || value === null || value === false) return false;
+    if (typeof value === 'string') return value.trim() !== '';
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+  }
+}
+
+module.exports = new TemplateRenderer();
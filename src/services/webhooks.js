@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const Outreach = require('../models/outreach');
+const Lead = require('../models/lead');
+const outreachService = require('./outreach');
+const callImporter = require('./callImporter');
+
+// Instantly event types and the outreach status each one moves to
+const INSTANTLY_EVENTS = {
+  email_sent: 'Sent',
+  email_opened: 'Opened',
+  opened: 'Opened',
+  email_link_clicked: 'Clicked',
+  link_clicked: 'Clicked',
+  clicked: 'Clicked',
+  reply_received: 'Replied',
+  replied: 'Replied',
+  email_bounced: 'Bounced',
+  bounced: 'Bounced'
+};
+
+// How far along each status is; events never move an outreach backwards
+const STATUS_RANK = {
+  Scheduled: 0,
+  Sent: 1,
+  Delivered: 2,
+  Opened: 3,
+  Clicked: 4,
+  Replied: 5,
+  Bounced: 5
+};
+
+// Outcomes that end an outreach; once reached, neither replaces the other
+const TERMINAL_STATUSES = ['Replied', 'Bounced'];
+
+/**
+ * Applies events pushed by integrations to Outreach records
+ */
+class WebhookService {
+  /**
+   * Compare a secret sent with a webhook against the configured one
+   * @param {string} provided - Secret from the request
+   * @param {string} expected - Configured secret
+   * @returns {boolean} Whether they match
+   */
+  verifySecret(provided, expected) {
+    if (!provided || !expected) return false;
+
+    const a = Buffer.from(String(provided));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Apply an Instantly email event
+   * @param {Object} payload - Webhook body
+   * @returns {Promise<{ matched: boolean, ignored?: boolean, outreach?: Object }>}
+   */
+  async handleInstantlyEvent(payload) {
+    const eventType = String(payload.event_type || payload.event || '').toLowerCase();
+    const status = INSTANTLY_EVENTS[eventType];
+    if (!status) {
+      return { matched: false, ignored: true };
+    }
+
+    const outreach = await this.findInstantlyOutreach(payload);
+    if (!outreach) {
+      return { matched: false };
+    }
+
+    const occurredAt = payload.timestamp ? new Date(payload.timestamp) : new Date();
+    const at = isNaN(occurredAt.getTime()) ? new Date() : occurredAt;
+
+    const previous = { status: outreach.status, outcome: outreach.call?.outcome };
+
+    // Statuses without a rank (Cancelled, Failed, Completed) are final and events leave them alone
+    const settled = !(outreach.status in STATUS_RANK) ||
+      (TERMINAL_STATUSES.includes(outreach.status) && outreach.status !== status);
+
+    // Events that would move the outreach backwards or overwrite a final outcome change nothing,
+    // not even the timestamps and reply or bounce details that come with them
+    if (settled || STATUS_RANK[status] < STATUS_RANK[outreach.status]) {
+      return { matched: true, ignored: true, outreach };
+    }
+
+    outreach.status = status;
+
+    // Later events imply the email went out
+    if (!outreach.sentAt) {
+      outreach.sentAt = at;
+    }
+
+    switch (status) {
+      case 'Opened':
+        if (!outreach.email.openedAt) outreach.email.openedAt = at;
+        break;
+      case 'Clicked':
+        if (!outreach.email.clickedAt) outreach.email.clickedAt = at;
+        if (!outreach.email.openedAt) outreach.email.openedAt = at;
+        break;
+      case 'Replied':
+        if (!outreach.email.repliedAt) outreach.email.repliedAt = at;
+        outreach.response.received = true;
+        outreach.response.responseDate = at;
+        if (payload.reply_text || payload.reply_text_snippet) {
+          outreach.response.responseText = payload.reply_text || payload.reply_text_snippet;
+        }
+        break;
+      case 'Bounced':
+        outreach.email.bounceReason = payload.bounce_reason || payload.reason || 'Bounced';
+        break;
+    }
+
+    await outreach.save();
+    await outreachService.exitSequencesOnOutcome(outreach, previous, at);
+
+    return { matched: true, outreach };
+  }
+
+  // Find the outreach an Instantly event is about, by external ID first and then by lead email
+  async findInstantlyOutreach(payload) {
+    const externalIds = [payload.email_id, payload.lead_id, payload.id].filter(Boolean).map(String);
+    if (externalIds.length > 0) {
+      const outreach = await Outreach.findOne({
+        channel: 'Instantly',
+        'externalIds.instantlyId': { $in: externalIds }
+      }).sort('-createdAt');
+      if (outreach) return outreach;
+    }
+
+    const email = payload.lead_email || payload.email;
+    if (!email) return null;
+
+    const lead = await Lead.findByEmail(email);
+    if (!lead) return null;
+
+    const filter = {
+      lead: lead._id,
+      channel: 'Instantly',
+      status: { $ne: 'Cancelled' }
+    };
+
+    // Prefer the outreach sent through the same Instantly campaign
+    if (payload.campaign_id) {
+      const outreach = await Outreach.findOne({
+        ...filter,
+        'externalIds.instantlyCampaignId': String(payload.campaign_id)
+      }).sort('-createdAt');
+      if (outreach) return outreach;
+    }
+
+    return Outreach.findOne(filter).sort('-createdAt');
+  }
+
+  /**
+   * Record a completed Salesfinity call, updating the matching outreach or creating one
+   * @param {Object} payload - Webhook body
+   * @returns {Promise<{ matched: boolean, created?: boolean, ignored?: boolean, outreach?: Object }>}
+   */
+  async handleSalesfinityEvent(payload) {
+    const call = payload.data || payload.call || payload;
+    if (!call?._id && !call?.id) {
+      return { matched: false, ignored: true };
+    }
+
+    return callImporter.upsertCall(call);
+  }
+}
+
+module.exports = new WebhookService();
@@ -5,7 +5,12 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 // Get API credentials
-const SALESFINITY_API_KEY = process.env.SALESFINITY_API_KEY || 'ff463994-d38c-43f3-a100-7dcc519570b9';
+const SALESFINITY_API_KEY = process.env.SALESFINITY_API_KEY;
+
+if (!SALESFINITY_API_KEY) {
+  console.error('Set SALESFINITY_API_KEY to run this script');
+  process.exit(1);
+}
 
 // Base URL from documentation
 const BASE_URL = 'https://client-api.salesfinity.co/v1';
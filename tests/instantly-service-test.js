@@ -1,5 +1,5 @@
 require('dotenv').config();
-const InstantlyService = require('../services/InstantlyService');
+const InstantlyService = require('../src/services/InstantlyService');
 
 async function testInstantlyService() {
   console.log('Testing InstantlyService...');
@@ -24,7 +24,7 @@ async function testInstantlyService() {
       console.log('✅ Successfully connected to Instantly.ai API');
       
       // Display API tier info
-      const apiTierInfo = instantlyService.getApiTierInfo();
+      const apiTierInfo = await instantlyService.detectTier();
       console.log('\nAPI Tier Information:');
       console.log(`  API Tier: ${apiTierInfo.apiTier}`);
       console.log(`  API Scopes: ${apiTierInfo.apiScopes.join(', ')}`);